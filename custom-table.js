@@ -9,6 +9,7 @@
 // - Flexible column rendering with custom templates
 // - Action buttons with configurable handlers
 // - Optional selection checkboxes (select-all + individual row selection)
+//   with selections kept across pagination, search and sort
 // - State persistence via localStorage
 // - Multiple response format support (simple REST, DataTables, custom envelopes)
 // - Scoped DOM element lookup for multi-table page support
@@ -40,13 +41,37 @@ class CustomDataTable {
         this.columns = (options.columns || []).map(c => Object.assign({}, c)); // column definitions
         this.actions = options.actions || [];
         this.stateKey = options.stateKey || (`tableState_${this.tableId}`);
+        this.stateMaxAge = options.stateMaxAge !== undefined ? options.stateMaxAge : 60 * 60 * 1000; // ms; 0/false = never expires
         this.primaryKey = options.primaryKey || null; // name of primary key field in data
         this.method = (options.method || 'GET').toUpperCase();
         this.requestFormat = options.requestFormat || 'simple'; // 'simple' or 'datatables'
         
         // NEW: Checkbox configuration
         this.enableCheckboxes = options.enableCheckboxes || false; // Enable selection checkboxes
-        this.checkboxColumn = { key: '_select', label: '', sortable: false, sticky: true }; // checkbox column definition (sticky by default)
+        this.checkboxColumn = { key: '_select', label: '', sortable: false, sticky: true, utility: true }; // checkbox column definition (sticky by default)
+
+        // Detail rows: an expander column opens a child row under the record, filled by
+        // detailRender(row[, data]) and/or fetched from detailUrl. Content is cached per primary key.
+        this.detailRender = options.detailRender || null;
+        this.detailUrl = options.detailUrl || null; // string template with {id}/{column}, or (row) => url
+        this.detailCache = options.detailCache !== false;
+        this.keepDetailsOpen = options.keepDetailsOpen || false; // stay open across pages and reloads
+        this.expanderColumn = (this.detailRender || this.detailUrl) ? { key: '_expand', label: '', sortable: false, utility: true } : null;
+        this.expandedRows = new Set(); // ids with an open detail row
+        this.ownsExpanderHeader = null; // the expander <th> we added because the markup had none
+        this.detailContent = new Map(); // id -> loaded detail HTML
+        this.detailRequests = new Map(); // id -> pending load
+
+        // Grouping: rows on the page are grouped by a column key (or row => value) under collapsible
+        // header rows. Aggregates: per-column `aggregate` definitions fill a <tfoot> summary row.
+        this.groupBy = options.groupBy || null;
+        this.groupLabel = options.groupLabel || null; // (value, rows) => HTML
+        this.collapsedGroups = new Set();
+        this.aggregateScope = options.aggregateScope || 'page'; // 'page', or 'all' (client mode: every filtered row)
+        this.aggregateLabel = options.aggregateLabel !== undefined ? options.aggregateLabel : null; // null = the 'total' message
+        this.serverAggregates = null; // `aggregates` from the last response, for whole-dataset totals (server mode)
+        this.aggregateRow = null;
+        this.ownsFooter = false; // we created the <tfoot>, so destroy() removes it
 
         // Find DOM elements scoped to the table. Prefer scoped data- attributes inside a container.
         this.table = document.getElementById(this.tableId);
@@ -55,6 +80,9 @@ class CustomDataTable {
         // Container is either provided or inferred (closest .table-wrapper or parentElement)
         this.container = document.getElementById(options.containerId) || this.table.closest('.table-wrapper') || this.table.parentElement;
 
+        // Text direction, inherited from the page (<html dir="rtl">) unless given; mirrors pagination and arrow keys
+        this.dir = options.dir || ((window.getComputedStyle(this.table).direction === 'rtl' || this.table.closest('[dir="rtl"]')) ? 'rtl' : 'ltr');
+
         // Scoped elements (use data attributes if present, otherwise fallback to common IDs)
         this.tbody = this.table.querySelector('tbody') || (this.container && this.container.querySelector('tbody')) || document.getElementById('tableBody');
         this.searchInput = (this.container && this.container.querySelector('[data-table-search]')) || document.getElementById('searchInput');
@@ -62,15 +90,24 @@ class CustomDataTable {
         this.perPageSelect = (this.container && this.container.querySelector('[data-table-perpage]')) || document.getElementById('perPageSelect');
         this.pagination = (this.container && this.container.querySelector('[data-table-pagination]')) || document.getElementById('pagination');
         this.tableInfo = (this.container && this.container.querySelector('[data-table-info]')) || document.getElementById('tableInfo');
+        // Header select-all checkbox is always scoped to this table (never a global lookup) so tables don't conflict
+        this.selectAllCheckbox = document.getElementById(options.selectAllId) ||
+            (this.container && this.container.querySelector('[data-table-select-all], #selectAllRows')) ||
+            this.table.querySelector('thead input[type="checkbox"]');
+        this.selectionBanner = (this.container && this.container.querySelector('[data-table-selection-banner]')) || null;
 
         // NEW: If checkboxes enabled, prepend checkbox column to columns array
+        if (this.expanderColumn) {
+            this.columns.unshift(this.expanderColumn);
+        }
         if (this.enableCheckboxes) {
             this.columns.unshift(this.checkboxColumn);
         }
 
-        // normalize column keys (support `key` or `data`)
-        this.columns.forEach(col => {
+        // normalize column keys (support `key` or `data`); _id identifies the column in the layout
+        this.columns.forEach((col, index) => {
             col._data = col.data || col.key || col.name || null;
+            col._id = col._data || `column_${index}`;
         });
 
         // Attempt to auto-detect primary key if not provided
@@ -80,7 +117,25 @@ class CustomDataTable {
             this.primaryKey = found ? found._data : 'id';
         }
 
-        // Sorting defaults passed from options
+        // Column layout: visibility (`hidden: true` defaults), order and widths, saved next to the table state.
+        // The checkbox and expander columns are not part of the layout; they always stay first.
+        this.columnChooser = options.columnChooser || false;
+        this.reorderableColumns = options.reorderableColumns || false;
+        this.resizableColumns = options.resizableColumns || false;
+        this.minColumnWidth = options.minColumnWidth || 60;
+        this.columnOrder = this.columns.filter(col => !col.utility).map(col => col._id);
+        this.hiddenColumns = new Set(this.columns.filter(col => col.hidden && !col.utility).map(col => col._id));
+        this.columnWidths = {}; // column id -> px
+        this.columnLayoutLocked = false; // some header cells couldn't be matched to columns, see setupColumnHeaders()
+        this.headerRow = null;
+        this.columnChooserEl = null;
+        this.ownsColumnChooser = false;
+        this.dragColumn = null;
+        this.resizeState = null;
+        this.suppressHeaderClick = false;
+
+        // Sorting defaults passed from options. defaultSort is a column name, or a list of
+        // { column, direction } entries for a multi-column default
         this.defaultSort = options.defaultSort || null;
         this.defaultOrder = options.defaultOrder || 'asc';
 
@@ -90,366 +145,3749 @@ class CustomDataTable {
         this.filteredRecords = 0;
         this.currentPage = 1;
         this.perPage = options.perPage || (this.perPageSelect ? parseInt(this.perPageSelect.value || 10) : 10);
-    this.sortColumn = this.defaultSort;
-    this.sortDirection = this.defaultOrder;
+        this.defaultPerPage = this.perPage;
+        this.sortList = this.normalizeSortList(this.defaultSort, this.defaultOrder); // [{ column, direction }], in priority order
         this.searchTerm = '';
         this.searchDebounce = null;
-        this.draw = 1;
+        this.searchPending = false;
+        this.searchDebounceDelay = options.searchDebounceDelay || 300;
+        this.searchSyntax = options.searchSyntax !== false; // category:fish, price>100 and "exact phrase" in the search box
+        this.suggestionsUrl = options.suggestionsUrl || null; // server autocomplete; default: values from the loaded rows
+        this.suggestionMinLength = options.suggestionMinLength || 2;
+        this.maxSuggestions = options.maxSuggestions || 5;
+        this.suggestionRequest = 0; // incremented per lookup; older answers are dropped
+        this.suggestionController = null;
+        this.totalKnown = true; // false when the response adapter reports no total (has-more paging)
+        this.hasMore = false;
+        this.draw = 0; // incremented per request; stale responses are dropped
+        this.abortController = null;
+
+        // Failed loads: network failures and 502/503/504 are retried with exponential backoff;
+        // 401/419 go to onAuthError; offline failures reload once the browser is back online
+        this.retries = options.retries !== undefined ? options.retries : 2; // extra attempts
+        this.retryDelay = options.retryDelay || 1000; // ms before the first retry; doubles each time
+        this.reloadWhenOnline = false;
+        this.authErrorPending = false;
+
+        // Large lists: `pagination: 'infinite'` appends the next page when the "load more" row scrolls
+        // into view; `virtualScroll` keeps only the rows in view (plus a buffer) in the DOM
+        this.paginationMode = options.pagination === 'infinite' ? 'infinite' : 'pages';
+        this.virtualScroll = options.virtualScroll || false;
+        this.rowHeight = options.rowHeight || 41; // px; measured from the first rendered row unless given
+        this.rowHeightMeasured = !!options.rowHeight;
+        this.virtualBuffer = options.virtualBuffer !== undefined ? options.virtualBuffer : 10; // extra rows above and below
+        this.scrollContainer = options.scrollContainer || null; // element or selector; default: nearest scrolling ancestor
+        this.scrollParent = undefined; // the resolved scroll container (null: the page); see getScrollContainer()
+        // the window maths assumes one row of rowHeight per record; group headers and detail rows break that
+        if (this.virtualScroll && (this.groupBy || this.expanderColumn)) {
+            console.warn(`[CustomDataTable] virtualScroll can't be combined with ${this.groupBy ? 'groupBy' : 'detail rows'}; rendering every row instead.`);
+            this.virtualScroll = false;
+        }
+        this.virtualRange = null; // { start, end } of this.data currently in the DOM
+        this.scrollFrame = null;
+        this.loadingMore = false;
+        this.loadMoreObserver = null;
+        this.renderedHtml = new WeakMap(); // rendered row/cell element -> the HTML it was last rendered from
+
+        // Page cache (server mode): responses kept in memory per request, shown again without a
+        // round trip while younger than cacheTtl, and shown-then-revalidated when older
+        this.cache = options.cache || false;
+        this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 60 * 1000; // ms
+        this.cacheSize = options.cacheSize || 20; // entries; the least recently used go first
+        this.prefetch = options.prefetch !== undefined ? options.prefetch : true; // fetch the next page into the cache
+        this.pageCache = new Map(); // cache key -> { json, response, ids, time }
+        this.prefetchRequests = new Map(); // cache key -> pending prefetch
+        this.prefetchController = null;
+        this.cacheGeneration = 0; // bumped by invalidate()
+
+        // Auto-refresh (background polling)
+        this.autoRefreshInterval = options.autoRefresh || null; // ms, or false/null to disable
+        this.autoRefreshTimer = null;
+        this.refreshPending = false; // a tick was skipped while the tab was hidden
+        this.visibilityHandler = null;
+        this.highlightChanges = options.highlightChanges !== false; // flash rows changed by a refresh
+        this.highlightDuration = options.highlightDuration || 2500;
+        this.highlightTimer = null;
+
+        // Export settings
+        this.exportFilename = options.exportFilename || null; // string, or function(extension, table)
+        this.exportPageSize = options.exportPageSize || 500; // rows per request when exporting all pages
+        this.exportSheetName = options.exportSheetName || null;
+
+        // Print defaults, merged under the options passed to print()
+        this.printOptions = options.printOptions || {};
+        this.printFrame = null;
+
+        // Client mode: the full dataset lives in the browser (from `data` or one fetch of apiUrl)
+        this.mode = options.mode === 'client' ? 'client' : 'server';
+        this.allData = Array.isArray(options.data) ? options.data.slice() : [];
+        this.clientLoaded = Array.isArray(options.data);
+        this.locale = options.locale ? (CustomDataTable.canonicalLocale(options.locale) || 'en') : undefined; // undefined = browser default
+        this.collator = new Intl.Collator(this.locale, { numeric: true, sensitivity: 'base' });
+
+        // Column `type` formatting (Intl based); see formatTypedValue()
+        this.currency = options.currency || 'USD'; // ISO 4217 code for 'currency' columns
+        this.timeZone = options.timeZone || undefined; // IANA zone for dates; undefined = browser's
+        this.formatters = new Map(); // column id (+ ':day' for bare dates) -> cached Intl formatter
+
+        // Built-in UI text from CustomDataTable.messages, picked by `locale` (or <html lang>), with the
+        // `messages` option and the older single-message options on top; see t()
+        this.language = this.locale || CustomDataTable.canonicalLocale(document.documentElement.lang) || 'en';
+        const legacyMessages = { empty: options.emptyStateMessage, loading: options.loadingMessage, error: options.errorMessage, noResults: options.noResultsMessage };
+        Object.keys(legacyMessages).forEach(key => { if (legacyMessages[key] === undefined) delete legacyMessages[key]; });
+        this.messages = Object.assign({}, CustomDataTable.messages.en, CustomDataTable.getMessages(this.language), legacyMessages, options.messages || {});
+        this.pluralRules = new Intl.PluralRules(this.language);
+        this.numberFormat = new Intl.NumberFormat(this.locale);
+        this.emptyStateIcon = options.emptyStateIcon !== undefined ? options.emptyStateIcon : '🔍';
+
+        // Response parsing: adapter name from CustomDataTable.responseAdapters, or (json, response) => { rows, total, filtered }
+        this.responseAdapter = options.responseAdapter || 'auto';
+
+        // Request customization
+        this.additionalParams = options.additionalParams || {}; // object, or function(table) returning one
+        this.customHeaders = options.headers || {}; // merged over the default headers (object or function)
+        this.transformRequest = options.transformRequest || null; // (request, table) => request
+
+        // Per-column filters rendered as a second header row
+        this.enableColumnFilters = options.enableColumnFilters || false;
+        this.columnFilters = options.columnFilters || {}; // filter definitions keyed by column, override col.filter
+        this.filters = {}; // column -> value ({ min, max } / { from, to } for range filters)
+        this.filterRow = null;
+        this.filterDebounce = new Map(); // column -> pending timer, so typing in one filter doesn't cancel another
+
+        // Lifecycle callbacks from options; extra subscribers attach through on()/off()
+        this.callbacks = {};
+        ['beforeRequest', 'afterRequest', 'onDataLoaded', 'onError', 'onSort', 'onPageChange', 'onRowClick', 'onRowsSelected', 'onRowsChanged', 'onColumnsChange', 'onCellEdited', 'onDetailToggle', 'onAuthError'].forEach(name => {
+            if (typeof options[name] === 'function') this.callbacks[name] = options[name];
+        });
+        this.listeners = {}; // event name -> handler[]
+        this.rowHighlight = options.rowHighlight || false;
+
+        // Row actions
+        this.maxInlineActions = options.maxInlineActions || null; // extra actions go to a "more" menu
+        this.confirmAction = options.confirmAction || null; // async (message, { action, id, row }) => boolean
+        this.openMenu = null;
+        this.openMenuButton = null;
+
+        // Inline editing of `editable` columns; saved per cell to editUrl (default: apiUrl/{id})
+        this.editUrl = options.editUrl || null; // string template with {id}/{field}, or (row, field, value) => url
+        this.editMethod = (options.editMethod || 'PATCH').toUpperCase();
+        this.editingCell = null; // { id, columnId, td, input, original }
+
+        // Accessibility: roving-tabindex grid navigation (opt-in) and a polite live region
+        this.keyboardNavigation = options.keyboardNavigation || false;
+        this.focusedCell = { row: 0, col: 0 };
+        this.editableTabStop = null; // { id, columnId } of the editable cell in the tab order outside grid mode
+        this.restoreGridFocus = false;
+        this.liveRegion = null;
+        this.lastAnnouncement = '';
+        this.activeSuggestion = -1;
+
+        // URL sync: page, perPage, sort, search and filters mirrored into the query string
+        this.syncUrl = options.syncUrl || false;
+        this.urlPrefix = options.urlPrefix || ''; // e.g. 'orders_' when several synced tables share a page; see claimUrlPrefix()
+        this.urlHistory = options.urlHistory === 'replace' ? 'replace' : 'push';
+        this.urlSearchEditing = false; // consecutive search edits share one history entry
+        this.applyingUrlState = false;
+
+        // Selection model, keyed by primaryKey so it survives pagination, search and sort
+        this.selectedRows = new Map(); // id -> row data (last seen)
+        this.selectAllMatching = false; // "select all N matching records" mode
+        this.excludedRows = new Set(); // ids unticked while in select-all-matching mode
+
+        // Every DOM listener goes through listen() so destroy() can remove it again
+        this.domListeners = [];
+        // Attributes and classes set on the page's own markup, with what was there before (see setDomAttribute)
+        this.domChanges = new Map(); // element -> { attributes: Map(name -> original), classes: Map(name -> had) }
+        this.ownsSelectionBanner = false;
+        this.destroyed = false;
 
         this.init();
     }
     
     init() {
         this.restoreState();
+        if (this.syncUrl) this.claimUrlPrefix();
+        if (this.syncUrl) this.restoreUrlState();
+        this.setupColumnHeaders();
+        this.renderFilterRow();
+        this.applyColumnLayout();
+        this.renderColumnChooser();
+        this.setupAccessibility();
         this.setupEventListeners();
+        // the entry we landed on describes the restored view, so Back returns to it exactly
+        if (this.syncUrl) this.syncUrlState({ replace: true });
         this.loadData();
+        if (this.autoRefreshInterval) this.startAutoRefresh(this.autoRefreshInterval);
     }
     
+    // addEventListener that is remembered, so destroy() can take it off again
+    listen(target, type, handler, options) {
+        if (!target) return;
+        target.addEventListener(type, handler, options);
+        this.domListeners.push({ target, type, handler, options });
+    }
+
+    // setAttribute (removeAttribute for null) and classList.toggle for elements the page owns, such as
+    // the headers, the search input and the table itself. The first change remembers the original
+    // state, which destroy() puts back.
+    setDomAttribute(el, name, value) {
+        const saved = this.getDomChanges(el).attributes;
+        if (!saved.has(name)) saved.set(name, el.getAttribute(name));
+        if (value === null) {
+            el.removeAttribute(name);
+        } else {
+            el.setAttribute(name, value);
+        }
+    }
+
+    toggleDomClass(el, className, force) {
+        const saved = this.getDomChanges(el).classes;
+        if (!saved.has(className)) saved.set(className, el.classList.contains(className));
+        el.classList.toggle(className, force);
+    }
+
+    getDomChanges(el) {
+        if (!this.domChanges.has(el)) this.domChanges.set(el, { attributes: new Map(), classes: new Map() });
+        return this.domChanges.get(el);
+    }
+
+    restoreDomChanges() {
+        this.domChanges.forEach(({ attributes, classes }, el) => {
+            attributes.forEach((value, name) => {
+                if (value === null) {
+                    el.removeAttribute(name);
+                } else {
+                    el.setAttribute(name, value);
+                }
+            });
+            classes.forEach((had, className) => el.classList.toggle(className, had));
+        });
+        this.domChanges.clear();
+    }
+
     setupEventListeners() {
         // Search input (scoped)
-        if (this.searchInput) {
-            this.searchInput.addEventListener('input', (e) => {
-                clearTimeout(this.searchDebounce);
-                this.searchDebounce = setTimeout(() => {
-                    this.searchTerm = e.target.value.toLowerCase();
-                    this.filterData();
-                    this.showSuggestions();
-                }, 300);
-            });
-        }
+        this.listen(this.searchInput, 'input', (e) => {
+            clearTimeout(this.searchDebounce);
+            this.searchPending = true;
+            this.searchDebounce = setTimeout(() => {
+                this.searchPending = false;
+                this.searchTerm = e.target.value;
+                this.filterData();
+                this.showSuggestions();
+            }, this.searchDebounceDelay);
+        });
         
-        // Click outside to close suggestions
-        document.addEventListener('click', (e) => {
+        // Click outside to close suggestions and the open dropdown menu
+        this.listen(document, 'click', (e) => {
             if (this.searchInput && this.searchSuggestions) {
                 if (!this.searchInput.contains(e.target) && !this.searchSuggestions.contains(e.target)) {
-                    this.searchSuggestions.classList.remove('active');
+                    this.hideSuggestions();
                 }
             }
+            if (this.openMenu && !this.openMenu.parentNode.contains(e.target)) this.closeMenu();
         });
-        
-        // Per page select (scoped)
-        if (this.perPageSelect) {
-            this.perPageSelect.addEventListener('change', (e) => {
-                this.perPage = parseInt(e.target.value);
-                this.currentPage = 1;
-                this.saveState();
-                this.loadData(); // Reload from server with new per page
+        // Menus are positioned against the viewport, so any scroll would leave them behind, except
+        // scrolling a long menu's own list
+        this.listen(window, 'scroll', (e) => {
+            if (this.openMenu && !this.openMenu.contains(e.target)) this.closeMenu();
+        }, true);
+
+        // Virtual scroll re-renders the visible window of rows as the page or its scroll container scrolls
+        if (this.virtualScroll) {
+            const onScroll = () => this.onVirtualScroll();
+            this.listen(window, 'scroll', onScroll, { passive: true });
+            this.listen(window, 'resize', onScroll);
+            this.listen(this.getScrollContainer(), 'scroll', onScroll, { passive: true });
+        }
+
+        // A load that failed (or an auto-refresh skipped) while offline is made up once the browser is back online
+        this.listen(window, 'online', () => this.onOnline());
+
+        // Back/forward restore the view recorded in the URL
+        if (this.syncUrl) this.listen(window, 'popstate', () => this.onUrlStateChange());
+
+        // Keyboard: suggestions (arrows/Enter/Escape), sortable headers (Enter/Space), grid cells
+        this.listen(this.searchInput, 'keydown', (e) => this.onSearchKeydown(e));
+        this.listen(this.searchSuggestions, 'click', (e) => {
+            const item = e.target.closest('.suggestion-item');
+            if (item) this.selectSuggestion(item);
+        });
+        this.listen(this.table, 'keydown', (e) => this.onTableKeydown(e));
+        this.listen(this.tbody, 'dblclick', (e) => {
+            const cell = e.target.closest('td[data-editable]');
+            if (cell && !e.target.closest('.cell-editor')) this.startEdit(cell);
+        });
+        if (this.keyboardNavigation) {
+            this.listen(this.tbody, 'focusin', (e) => {
+                const cell = e.target.closest('td');
+                if (cell && this.tbody.contains(cell)) this.setFocusedCell(cell);
+            });
+        } else {
+            this.listen(this.tbody, 'focusin', (e) => {
+                if (e.target.matches && e.target.matches('td[data-editable]')) this.setEditableTabStop(e.target);
             });
         }
         
-        // Column sorting
-        const headers = this.table.querySelectorAll('thead th[data-column]');
-        headers.forEach(header => {
-            header.addEventListener('click', () => {
-                const column = header.dataset.column;
-                this.sortTable(column, header);
-            });
+        // Per page select (scoped)
+        this.listen(this.perPageSelect, 'change', (e) => {
+            this.perPage = parseInt(e.target.value);
+            this.currentPage = 1;
+            this.saveState();
+            this.loadData(); // Reload from server with new per page
         });
-    }
-    
-    async loadData() {
-        try {
-            this.showLoading();
-            
-            let requestUrl = this.apiUrl;
-            let fetchOptions = { method: this.method, headers: { 'X-Requested-With': 'XMLHttpRequest' } };
-
-            // Build either simple REST-style params or DataTables payload
-            if (this.requestFormat === 'datatables') {
-                const requestData = {
-                    draw: this.draw || 1,
-                    start: (this.currentPage - 1) * this.perPage,
-                    length: this.perPage,
-                    search: {
-                        value: this.searchTerm,
-                        regex: false
-                    },
-                    order: this.sortColumn ? [{
-                        column: this.getColumnIndex(this.sortColumn),
-                        dir: this.sortDirection
-                    }] : [],
-                    columns: this.columns.map(col => ({
-                        data: col._data,
-                        name: col._data,
-                        searchable: col.searchable !== false,
-                        orderable: col.orderable !== false
-                    }))
-                };
-
-                console.log('[CustomDataTable] Requesting data (datatables) from', this.apiUrl);
-                console.log('[CustomDataTable] Request payload', requestData);
-                fetchOptions.headers['Content-Type'] = 'application/json';
-                // Read CSRF token safely
-                const _csrfMeta = document.querySelector('meta[name="csrf-token"]');
-                const _csrfToken = _csrfMeta ? _csrfMeta.getAttribute('content') : null;
-                if (_csrfToken) fetchOptions.headers['X-CSRF-TOKEN'] = _csrfToken;
-
-                if (this.method === 'GET') {
-                    // send as querystring (flattened)
-                    const qs = new URLSearchParams();
-                    qs.set('draw', requestData.draw);
-                    qs.set('start', requestData.start);
-                    qs.set('length', requestData.length);
-                    qs.set('search', requestData.search.value);
-                    requestUrl += (requestUrl.includes('?') ? '&' : '?') + qs.toString();
+        
+        // Sorting, actions, row clicks, the selection banner and pagination are all delegated from
+        // the container, so re-rendering never has to attach (or leak) per-element handlers
+        const clickHandler = (e) => this.handleClick(e);
+        this.listen(this.container, 'click', clickHandler);
+        if (this.pagination && !(this.container && this.container.contains(this.pagination))) {
+            this.listen(this.pagination, 'click', clickHandler);
+        }
+
+        // Row selection (delegated so re-rendered rows don't need new listeners)
+        if (this.enableCheckboxes) {
+            this.listen(this.tbody, 'change', (e) => {
+                const checkbox = e.target.closest('.select-row');
+                if (!checkbox) return;
+                this.setRowSelected(checkbox.dataset.id, checkbox.checked);
+            });
+
+            this.listen(this.selectAllCheckbox, 'change', (e) => {
+                // Unticking the header while every match is selected drops the whole selection;
+                // otherwise it only toggles the rows on the current page
+                if (!e.target.checked && this.selectAllMatching) {
+                    this.clearSelection();
                 } else {
-                    fetchOptions.body = JSON.stringify(requestData);
+                    this.setPageSelected(e.target.checked);
                 }
+            });
+        }
 
-            } else {
-                // simple format expected by many endpoints (per_page, page, search, sort_by, sort_order)
-                const simple = {
-                    per_page: this.perPage,
-                    page: this.currentPage,
-                    search: this.searchTerm,
-                    sort_order: this.sortDirection
-                };
-                // only include sort_by if we have a valid sort column
-                if (this.sortColumn) {
-                    simple.sort_by = this.sortColumn;
-                }
-                console.log('[CustomDataTable] Requesting data (simple) from', this.apiUrl);
-                console.log('[CustomDataTable] Request payload', simple);
-                fetchOptions.headers['Content-Type'] = 'application/json';
-                const _csrfMeta = document.querySelector('meta[name="csrf-token"]');
-                const _csrfToken = _csrfMeta ? _csrfMeta.getAttribute('content') : null;
-                if (_csrfToken) fetchOptions.headers['X-CSRF-TOKEN'] = _csrfToken;
-
-                if (this.method === 'GET') {
-                    const params = new URLSearchParams();
-                    Object.keys(simple).forEach(k => {
-                        if (simple[k] !== null && simple[k] !== undefined) params.set(k, simple[k]);
-                    });
-                    requestUrl += (requestUrl.includes('?') ? '&' : '?') + params.toString();
-                } else {
-                    fetchOptions.body = JSON.stringify(simple);
+        // Column chooser lives outside the table, so it gets its own (delegated) listeners
+        if (this.columnChooserEl) {
+            this.listen(this.columnChooserEl, 'click', (e) => {
+                const toggle = e.target.closest('[data-column-chooser-toggle]');
+                if (toggle) {
+                    this.toggleMenu(this.columnChooserEl.querySelector('.table-column-menu'), toggle);
+                } else if (e.target.closest('[data-column-reset]')) {
+                    this.closeMenu();
+                    this.resetColumnLayout();
                 }
+            });
+            this.listen(this.columnChooserEl, 'change', (e) => {
+                const checkbox = e.target.closest('[data-column-toggle]');
+                if (checkbox) this.toggleColumn(checkbox.dataset.columnToggle, checkbox.checked);
+            });
+        }
+
+        if (this.headerRow && this.reorderableColumns) {
+            this.listen(this.headerRow, 'dragstart', (e) => this.onColumnDragStart(e));
+            this.listen(this.headerRow, 'dragover', (e) => this.onColumnDragOver(e));
+            this.listen(this.headerRow, 'drop', (e) => this.onColumnDrop(e));
+            this.listen(this.headerRow, 'dragend', () => this.onColumnDragEnd());
+        }
+        if (this.headerRow && this.resizableColumns) {
+            this.listen(this.headerRow, 'mousedown', (e) => this.onColumnResizeStart(e));
+            // double-clicking a resize handle gives the column its natural width back
+            this.listen(this.headerRow, 'dblclick', (e) => {
+                const handle = e.target.closest('.column-resizer');
+                if (handle) this.setColumnWidth(handle.parentNode.dataset.columnId, null);
+            });
+        }
+    }
+
+    handleClick(e) {
+        const target = e.target;
+
+        const pageLink = this.pagination && this.pagination.contains(target) && target.closest('.page-link[data-page]');
+        if (pageLink) {
+            e.preventDefault();
+            this.goToPage(pageLink.dataset.page);
+            return;
+        }
+
+        const selectionLink = this.selectionBanner && this.selectionBanner.contains(target) && target.closest('[data-selection-action]');
+        if (selectionLink) {
+            e.preventDefault();
+            if (selectionLink.dataset.selectionAction === 'all') {
+                this.selectAllMatchingRows();
+            } else {
+                this.clearSelection();
             }
+            return;
+        }
 
-            const startedAt = Date.now();
-            const response = await fetch(requestUrl, fetchOptions);
-            
-            if (!response.ok) throw new Error('Network response was not ok');
+        // Anything below belongs to this table only (not to a table nested inside a cell)
+        if (target.closest('table') !== this.table) return;
 
-            const result = await response.json();
-            const elapsed = Date.now() - startedAt;
-            console.log(`[CustomDataTable] Response received in ${elapsed}ms`);
-            console.log('[CustomDataTable] Server response', result);
+        // the click that ends a column resize is not a sort
+        if (this.suppressHeaderClick || target.closest('.column-resizer')) {
+            this.suppressHeaderClick = false;
+            if (target.closest('thead')) return;
+        }
+
+        const header = target.closest('thead th[data-column]');
+        if (header && !header.closest('.column-filter-row')) {
+            // shift+click adds the column as a secondary (tertiary, ...) sort key
+            if (this.isColumnSortable(header.dataset.column)) this.sortTable(header.dataset.column, header, e.shiftKey);
+            return;
+        }
+
+        if (target.closest('[data-load-more]')) {
+            this.loadMore();
+            return;
+        }
+
+        if (target.closest('[data-clear-search]')) {
+            this.clearSearch();
+            return;
+        }
+
+        if (target.closest('[data-table-retry]')) {
+            this.loadData();
+            return;
+        }
+
+        if (target.closest('[data-table-reload]')) {
+            window.location.reload();
+            return;
+        }
+
+        const groupRow = target.closest('tr.group-row');
+        if (groupRow && this.tbody.contains(groupRow)) {
+            this.toggleGroup(groupRow.dataset.group);
+            return;
+        }
+
+        const tr = target.closest('tr[data-id]');
+        if (!tr || !this.tbody.contains(tr)) return;
+        const id = tr.dataset.id;
+        const rowData = this.data.find(r => this.getRowId(r) === id);
+
+        if (target.closest('[data-detail-toggle]')) {
+            this.toggleRowDetail(id);
+            return;
+        }
+
+        const moreButton = target.closest('[data-action-more]');
+        if (moreButton) {
+            this.toggleMenu(moreButton.parentNode.querySelector('.action-menu'), moreButton);
+            return;
+        }
+
+        const button = target.closest('[data-action-index]');
+        if (button) {
+            this.closeMenu();
+            const action = this.actions[button.dataset.actionIndex];
+            if (action && rowData) {
+                // confirm, onclick, visible and disabled are user code; a throw must not go unhandled
+                this.runAction(action, button.dataset.actionId, rowData, e).catch(error => {
+                    console.error('[CustomDataTable] Action failed:', error);
+                    this.emit('error', error);
+                });
+            }
+            return;
+        }
+
+        // Clicks on controls inside the row are left to those controls
+        if (target.closest('input, button, a, select, textarea, label, .actions-col')) return;
+        if (!rowData) return;
+
+        if (this.rowHighlight) {
+            this.tbody.querySelectorAll('tr.row-active').forEach(r => r.classList.remove('row-active'));
+            tr.classList.add('row-active');
+        }
+        this.emit('rowClick', id, rowData, tr);
+    }
+
+    // Action handlers get (id, row, event); a string names a global function (dotted paths allowed).
+    // Disabled actions do nothing, `confirm` asks first, and `method` actions send a request themselves.
+    async runAction(action, id, row, event) {
+        if (this.resolveActionOption(action.disabled, row)) return;
+
+        const message = this.resolveActionOption(action.confirm, row);
+        if (message) {
+            const text = this.fillTemplate(String(message), row, id, false);
+            const confirmed = typeof this.confirmAction === 'function'
+                ? await this.confirmAction(text, { action, id, row })
+                : window.confirm(text);
+            if (!confirmed) return;
+        }
 
-            // Support different server response shapes. Prefer DataTables-style but fall back to a JSON list + pagination
-            if (result && Array.isArray(result.data)) {
-                this.data = result.data;
-                this.totalRecords = result.recordsTotal || (result.records_total || (result.pagination && result.pagination.total) || this.data.length);
-                this.filteredRecords = result.recordsFiltered || this.totalRecords;
-                this.draw = result.draw || this.draw;
-            } else if (Array.isArray(result)) {
-                this.data = result;
-                this.totalRecords = this.data.length;
-                this.filteredRecords = this.data.length;
-            } else if (result && Array.isArray(result.items)) {
-                this.data = result.items;
-                this.totalRecords = result.total || (result.pagination && result.pagination.total) || this.data.length;
-                this.filteredRecords = this.totalRecords;
-            } else if (result && result.success && Array.isArray(result.data)) {
-                // Handle success envelope with data array
-                this.data = result.data;
-                this.totalRecords = result.pagination ? result.pagination.total : this.data.length;
-                this.filteredRecords = this.totalRecords;
+        if (action.method) {
+            const button = event && event.target ? event.target.closest('button') : null;
+            return this.runRequestAction(action, id, row, button);
+        }
+
+        let result;
+        if (typeof action.onclick === 'function') {
+            result = action.onclick(id, row, event);
+        } else if (typeof action.onclick === 'string') {
+            const path = action.onclick.split('.');
+            const name = path.pop();
+            const owner = path.reduce((obj, key) => (obj ? obj[key] : undefined), window);
+            if (owner && typeof owner[name] === 'function') {
+                result = owner[name](id, row, event);
             } else {
-                this.data = [];
-                this.totalRecords = 0;
-                this.filteredRecords = 0;
+                console.warn(`[CustomDataTable] Action handler "${action.onclick}" is not a function`);
+                return;
             }
-            
-            this.renderTable();
-            
-            // Clear the return flag after rendering
-            this.clearReturnFlag();
+        } else if (action.href) {
+            window.location.href = this.fillTemplate(action.href, row, id);
+            return;
+        }
+
+        // `invalidate` handlers change data themselves: once they finish (their promise resolves,
+        // to anything but false) the cached pages are dropped and the table reloads
+        if (action.invalidate) {
+            try {
+                if ((await result) === false) return;
+            } catch (error) {
+                console.error('[CustomDataTable] Action handler failed:', error);
+                return;
+            }
+            this.invalidate(action.invalidate === 'row' ? id : undefined);
+            await this.refresh();
+        }
+    }
+
+    // Built-in request actions ({ method: 'DELETE'|'POST', url: '/items/{id}' }): sends the CSRF token
+    // and the table's headers, then refreshes the table on success
+    async runRequestAction(action, id, row, button) {
+        const method = String(action.method).toUpperCase();
+        if (!action.url && !action.href) {
+            // fetch('') would send the request to the current page
+            console.warn(`[CustomDataTable] ${method} action "${action.label || action.title || action.icon}" has no url; nothing was sent`);
+            return;
+        }
+        const url = this.fillTemplate(action.url || action.href, row, id);
+        const payload = this.resolveActionOption(action.data, row);
+        const hasBody = payload !== undefined && payload !== null;
+        const fetchOptions = { method, headers: this.buildHeaders(hasBody) };
+        if (hasBody) fetchOptions.body = JSON.stringify(payload);
+
+        if (button) button.disabled = true;
+        try {
+            const response = await fetch(url, fetchOptions);
+            if (!response.ok) throw await this.createResponseError(response);
+            const text = await response.text();
+            let result = text;
+            try { result = text ? JSON.parse(text) : null; } catch (e) { /* not JSON; pass the raw text on */ }
+
+            // A deleted row can no longer be part of the selection
+            if (method === 'DELETE' && this.isRowSelected(id)) this.setRowSelected(id, false);
+            // cached pages are out of date: all of them by default (rows shift after a delete or
+            // create), only the row's with invalidate: 'row' (e.g. a status toggle)
+            if (action.invalidate !== false) this.invalidate(action.invalidate === 'row' ? id : undefined);
+            if (typeof action.onSuccess === 'function') action.onSuccess(result, row, id);
+            if (action.refresh !== false) await this.refresh();
         } catch (error) {
-            console.error('Error loading data:', error);
-            this.showError('Failed to load data. Please try again.');
+            console.error('[CustomDataTable] Action request failed:', error);
+            if (error.type === 'auth') this.handleAuthError(error, () => this.runRequestAction(action, id, row, button));
+            if (typeof action.onError === 'function') {
+                action.onError(error, row, id);
+            } else {
+                this.emit('error', error);
+            }
+        } finally {
+            if (button && button.isConnected) button.disabled = false;
         }
     }
-    
-    getColumnIndex(columnName) {
-        return this.columns.findIndex(col => col._data === columnName || col.data === columnName || col.key === columnName);
+
+    // Action options may be plain values or functions of the row
+    resolveActionOption(value, row) {
+        return typeof value === 'function' ? value(row) : value;
     }
-    
-    showLoading() {
-        const colspan = this.getTotalColumns();
-        this.tbody.innerHTML = `
-            <tr>
-                <td colspan="${colspan}" class="text-center py-4">
-                    <div class="spinner-border text-primary" role="status">
-                        <span class="visually-hidden">Loading...</span>
-                    </div>
-                </td>
-            </tr>
-        `;
+
+    // Replaces {field} placeholders with row values ({id} falls back to the row id).
+    // Values are URL-encoded unless `encode` is false (e.g. for confirm messages).
+    fillTemplate(template, row, id, encode = true) {
+        return template.replace(/\{([^{}]+)\}/g, (match, field) => {
+            let value = row && row[field] !== undefined && row[field] !== null ? row[field] : undefined;
+            if (value === undefined && field === 'id') value = id;
+            if (value === undefined) return match;
+            return encode ? encodeURIComponent(String(value)) : String(value);
+        });
     }
 
-    getTotalColumns() {
-        // number of visible columns + actions column
-        const visible = this.columns.length;
-        const hasActions = (this.actions && this.actions.length) ? 1 : 0;
-        return visible + hasActions;
+    // Dropdown menus (the action "more" menu and the column chooser) open one at a time
+    toggleMenu(menu, button) {
+        if (!menu) return;
+        if (this.openMenu === menu) {
+            this.closeMenu();
+            return;
+        }
+        this.closeMenu();
+
+        // Fixed positioning keeps the menu out of the scrolling wrapper and the cell's overflow clipping
+        menu.classList.add('show');
+        const rect = button.getBoundingClientRect();
+        const width = menu.offsetWidth;
+        menu.style.position = 'fixed';
+        menu.style.top = `${rect.bottom + 2}px`;
+        menu.style.left = `${Math.max(4, rect.right - width)}px`;
+        button.setAttribute('aria-expanded', 'true');
+        this.openMenu = menu;
+        this.openMenuButton = button;
     }
-    
-    filterData() {
-        this.currentPage = 1;
-        this.saveState();
-        this.loadData(); // Reload from server with new search term
+
+    closeMenu() {
+        if (!this.openMenu) return;
+        this.openMenu.classList.remove('show');
+        if (this.openMenuButton) this.openMenuButton.setAttribute('aria-expanded', 'false');
+        this.openMenu = null;
+        this.openMenuButton = null;
     }
     
-    showSuggestions() {
-        if (!this.searchSuggestions || !this.searchTerm || this.searchTerm.length < 2) {
-            if (this.searchSuggestions) this.searchSuggestions.classList.remove('active');
+    // options.background: reload without the loading spinner, keeping scroll position and
+    // highlighting rows that changed since the last load (used by auto-refresh).
+    // options.cache: false skips the page cache lookup (background loads always do).
+    async loadData(options = {}) {
+        if (this.destroyed) return;
+        let background = !!options.background;
+        const infinite = this.paginationMode === 'infinite';
+        const append = !!options.append && infinite;
+        // in infinite mode a fresh load starts the list over from the first page
+        if (infinite && !append && !background) this.currentPage = 1;
+
+        // Client mode only talks to the server once; after that everything runs in the browser
+        if (this.mode === 'client' && this.clientLoaded) {
+            this.renderClientPage();
             return;
         }
-        
-        const suggestions = [];
-        const maxSuggestions = 5;
-        
-        // Find matching items from current data
-        for (const row of this.data) {
-            if (suggestions.length >= maxSuggestions) break;
-            
-            for (const col of this.columns) {
-                const value = col._data ? row[col._data] : undefined;
-                if (value && value.toString().toLowerCase().includes(this.searchTerm)) {
-                    suggestions.push({
-                        label: col.label,
-                        value: value.toString(),
-                        fullRow: row
-                    });
-                    break;
+
+        // Every load gets a new draw number; anything older that comes back later is stale
+        const draw = ++this.draw;
+        const overrides = { draw, all: this.mode === 'client' };
+        if (append) {
+            overrides.page = this.currentPage + 1;
+        } else if (infinite && background && this.currentPage > 1) {
+            // refresh everything loaded so far in one request, so the list doesn't shrink back to page 1
+            overrides.page = 1;
+            overrides.perPage = this.perPage * this.currentPage;
+        }
+        // additionalParams/headers functions and transformRequest run here and may throw
+        let request;
+        try {
+            request = await this.buildRequest(overrides);
+        } catch (error) {
+            if (draw === this.draw) this.reportRequestSetupError(error, background || append);
+            return;
+        }
+
+        // Page cache: a fresh entry is shown without a request; a stale one is shown right away and
+        // then revalidated in the background (appends only use fresh entries)
+        const cacheKey = this.cache && this.mode === 'server' ? this.getCacheKey(request) : null;
+        if (cacheKey && !background && options.cache !== false) {
+            let entry = this.getCachedResponse(cacheKey);
+            // the prefetch of this very page is still on its way: wait for it instead of asking twice
+            if (!entry && this.prefetchRequests.has(cacheKey)) {
+                if (!append) this.showLoading();
+                await this.prefetchRequests.get(cacheKey);
+                entry = this.getCachedResponse(cacheKey);
+            }
+            if (draw !== this.draw) return;
+            const fresh = entry && Date.now() - entry.time < this.cacheTtl;
+            if (entry && (fresh || !append)) {
+                if (this.abortController) this.abortController.abort();
+                this.renderResponse(this.parseResponse(entry.json, entry.response), { append });
+                if (fresh) {
+                    this.prefetchNextPage();
+                    return;
                 }
+                background = true; // rows that changed since are highlighted when the answer comes
             }
         }
-        
-        if (suggestions.length === 0) {
-            if (this.searchSuggestions) this.searchSuggestions.classList.remove('active');
+        const generation = this.cacheGeneration;
+
+        // beforeRequest handlers may mutate `request` in place, or return false to cancel it
+        try {
+            const verdicts = await Promise.all(this.emit('beforeRequest', request));
+            if (verdicts.includes(false)) {
+                console.log('[CustomDataTable] Request cancelled by beforeRequest');
+                return;
+            }
+        } catch (error) {
+            if (draw === this.draw) this.reportRequestSetupError(error, background || append);
             return;
         }
-        
-        if (!this.searchSuggestions) return; // exit if no suggestions container
-        
-        // Render suggestions
-        this.searchSuggestions.innerHTML = suggestions.map(s => {
-            const highlighted = this.highlightMatch(s.value, this.searchTerm);
-            return `
-                <div class="suggestion-item" data-value="${this.escapeHtml(s.value)}">
-                    <div class="suggestion-label">${s.label}</div>
-                    <div class="suggestion-text">${highlighted}</div>
-                </div>
-            `;
-        }).join('');
-        
-        // Add click handlers
-        this.searchSuggestions.querySelectorAll('.suggestion-item').forEach(item => {
-            item.addEventListener('click', () => {
-                if (this.searchInput) this.searchInput.value = item.dataset.value;
-                this.searchTerm = item.dataset.value.toLowerCase();
-                this.filterData();
-                if (this.searchSuggestions) this.searchSuggestions.classList.remove('active');
-            });
-        });
-        
-        this.searchSuggestions.classList.add('active');
+        if (draw !== this.draw) return; // superseded while beforeRequest was pending
+
+        // Only the latest request matters: abort whatever is still in flight
+        if (this.abortController) this.abortController.abort();
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        this.abortController = controller;
+
+        let result = null;
+        try {
+            if (!background && !append) this.showLoading();
+
+            const { url: requestUrl, fetchOptions } = this.serializeRequest(request);
+            if (controller) fetchOptions.signal = controller.signal;
+
+            console.log(`[CustomDataTable] Requesting data (${request.format}) from`, request.url);
+            console.log('[CustomDataTable] Request payload', request.params);
+
+            const startedAt = Date.now();
+            const response = await this.fetchWithRetry(requestUrl, fetchOptions);
+            
+            if (!response.ok) throw await this.createResponseError(response);
+
+            result = await response.json();
+            const elapsed = Date.now() - startedAt;
+            console.log(`[CustomDataTable] Response received in ${elapsed}ms`);
+            console.log('[CustomDataTable] Server response', result);
+
+            // Drop responses that were overtaken by a newer request (or echo an older draw)
+            if (draw !== this.draw || (result && result.draw !== undefined && Number(result.draw) < draw)) {
+                console.log(`[CustomDataTable] Dropping stale response (draw ${result && result.draw !== undefined ? result.draw : draw}, latest ${this.draw})`);
+                result = null;
+                return;
+            }
+
+            const parsed = this.parseResponse(result, response);
+            this.renderResponse(parsed, { append, background });
+            if (cacheKey) this.storeCachedResponse(cacheKey, result, response, parsed, generation);
+            this.authErrorPending = false;
+            if (!options.background) this.prefetchNextPage();
+        } catch (error) {
+            // Aborted or superseded requests are expected while the user types; stay quiet
+            if ((error && error.name === 'AbortError') || draw !== this.draw) return;
+            if (error.type === 'offline') this.reloadWhenOnline = true;
+            if (error.type === 'auth' && !(background && this.authErrorPending)) this.handleAuthError(error, () => this.loadData(options));
+            if (background || append) {
+                // keep showing the last good data; the next tick (or scroll) will try again
+                console.warn('[CustomDataTable] Background refresh failed:', error);
+                if (this.mode === 'client') this.clientLoaded = true;
+                this.emit('error', error);
+                return;
+            }
+            console.error('Error loading data:', error);
+            this.emit('error', error);
+            this.showRequestError(error);
+        } finally {
+            if (this.abortController === controller) this.abortController = null;
+            if (draw === this.draw) this.emit('afterRequest', result);
+        }
     }
-    
-    highlightMatch(text, search) {
-        const regex = new RegExp(`(${search})`, 'gi');
-        return text.replace(regex, '<span class="suggestion-match">$1</span>');
+
+    // Building the request or a beforeRequest handler failed, so nothing was sent. Reported like a
+    // failed request; background loads and appends keep the rows on screen.
+    reportRequestSetupError(error, quiet) {
+        console.error('Error loading data:', error);
+        if (this.mode === 'client' && quiet) this.clientLoaded = true;
+        this.emit('error', error);
+        if (!quiet) this.showError(this.t('error'));
     }
-    
-    sortTable(column, headerElement) {
-        // Toggle sort direction
-        if (this.sortColumn === column) {
-            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+
+    // Puts a parsed response on screen, whether it came from the server or the page cache
+    renderResponse(parsed, { append = false, background = false } = {}) {
+        const previousRows = background ? this.snapshotRows() : null;
+        const scroll = background ? this.captureScroll() : null;
+        if (this.mode === 'client') {
+            this.allData = parsed.rows;
+            this.serverAggregates = parsed.aggregates;
+            this.clientLoaded = true;
+            this.renderClientPage();
+        } else if (append) {
+            this.currentPage++;
+            const added = this.applyResponse(parsed, true);
+            this.appendRows(added);
+            this.emit('dataLoaded', this.data, this.totalRecords);
         } else {
-            this.sortColumn = column;
-            this.sortDirection = 'asc';
+            this.applyResponse(parsed);
+            this.renderTable();
+            this.emit('dataLoaded', this.data, this.totalRecords);
+        }
+        if (background) {
+            this.restoreScroll(scroll);
+            this.highlightChangedRows(previousRows);
         }
         
-        // Update header classes
-        const headers = this.table.querySelectorAll('thead th[data-column]');
-        headers.forEach(h => {
-            h.classList.remove('sort-asc', 'sort-desc');
-        });
-        headerElement.classList.add(`sort-${this.sortDirection}`);
-        
-        this.saveState();
-        this.loadData(); // Reload from server with new sort
+        // Clear the return flag after rendering
+        this.clearReturnFlag();
     }
-    
-    renderTable() {
-        if (this.data.length === 0) {
+
+    // Page Cache Methods
+    // Entries are keyed by everything that shapes the answer: method, URL and params (minus the
+    // DataTables draw counter, which changes on every request)
+    getCacheKey(request) {
+        const params = Object.assign({}, request.params);
+        delete params.draw;
+        return JSON.stringify([(request.method || 'GET').toUpperCase(), request.url, params]);
+    }
+
+    getCachedResponse(key) {
+        const entry = this.pageCache.get(key);
+        if (!entry) return null;
+        // Map order doubles as recency: the entry used last is evicted last
+        this.pageCache.delete(key);
+        this.pageCache.set(key, entry);
+        return entry;
+    }
+
+    // The body is kept as parsed JSON (the response adapter runs again on a hit) together with
+    // the ids it holds, so invalidate(id) can find it. Answers to requests sent before the last
+    // invalidate() are not stored.
+    storeCachedResponse(key, json, response, parsed, generation) {
+        if (generation !== this.cacheGeneration || this.destroyed) return;
+        this.pageCache.delete(key);
+        this.pageCache.set(key, {
+            json,
+            response: { ok: response.ok, status: response.status, headers: response.headers },
+            ids: new Set(parsed.rows.map(row => this.getRowId(row))),
+            time: Date.now()
+        });
+        while (this.pageCache.size > this.cacheSize) this.pageCache.delete(this.pageCache.keys().next().value);
+    }
+
+    // After a page is shown, the next one is fetched quietly into the cache so paging forward
+    // (or the next "load more") is instant. Prefetches go through transformRequest but not the
+    // beforeRequest/afterRequest events.
+    async prefetchNextPage() {
+        if (!this.cache || !this.prefetch || this.mode !== 'server' || this.destroyed) return;
+        const hasNext = this.paginationMode === 'infinite' ? this.hasMoreRows() : this.currentPage < this.getTotalPages();
+        if (!hasNext) return;
+
+        let request;
+        try {
+            request = await this.buildRequest({ page: this.currentPage + 1 });
+        } catch (error) {
+            console.warn('[CustomDataTable] Prefetching the next page failed:', error);
+            return;
+        }
+        const key = this.getCacheKey(request);
+        const entry = this.pageCache.get(key);
+        if ((entry && Date.now() - entry.time < this.cacheTtl) || this.prefetchRequests.has(key) || this.destroyed) return;
+
+        const generation = this.cacheGeneration;
+        if (!this.prefetchController && typeof AbortController !== 'undefined') this.prefetchController = new AbortController();
+        const pending = (async () => {
+            try {
+                const { url, fetchOptions } = this.serializeRequest(request);
+                if (this.prefetchController) fetchOptions.signal = this.prefetchController.signal;
+                const response = await fetch(url, fetchOptions);
+                if (!response.ok) throw new Error(`Prefetch failed with status ${response.status}`);
+                const json = await response.json();
+                this.storeCachedResponse(key, json, response, this.parseResponse(json, response), generation);
+            } catch (error) {
+                if (!(error && error.name === 'AbortError')) console.warn('[CustomDataTable] Prefetching the next page failed:', error);
+            } finally {
+                this.prefetchRequests.delete(key);
+            }
+        })();
+        this.prefetchRequests.set(key, pending);
+        return pending;
+    }
+
+    // Drops cached pages after data changed on the server: every page, or only the pages holding
+    // row `id`. What is on screen stays until the next load; call refresh() to reload it now.
+    invalidate(id) {
+        this.cacheGeneration++; // answers already on their way may predate the change
+        if (id === undefined || id === null) {
+            this.pageCache.clear();
+            return;
+        }
+        id = String(id);
+        this.pageCache.forEach((entry, key) => {
+            if (entry.ids.has(id)) this.pageCache.delete(key);
+        });
+    }
+
+    // Request Error Methods
+    // fetch() that retries network failures and 502/503/504 answers with exponential backoff
+    // (retryDelay, then twice that, ...), up to `retries` extra attempts. Offline fails at once.
+    async fetchWithRetry(url, fetchOptions) {
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let failure = null;
+            try {
+                response = await fetch(url, fetchOptions);
+            } catch (error) {
+                if (error && error.name === 'AbortError') throw error;
+                failure = error;
+            }
+            if (response && !CustomDataTable.RETRY_STATUSES.includes(response.status)) return response;
+            if (attempt >= this.retries || this.isOffline()) {
+                if (response) return response;
+                throw this.createNetworkError(failure);
+            }
+            console.warn(`[CustomDataTable] Request failed (${response ? `status ${response.status}` : failure}), retrying`);
+            await this.wait(this.retryDelay * Math.pow(2, attempt), fetchOptions.signal);
+        }
+    }
+
+    // setTimeout as a promise; rejects with an AbortError when `signal` aborts first
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                const error = new Error('Aborted');
+                error.name = 'AbortError';
+                reject(error);
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+            if (signal) {
+                if (signal.aborted) return abort();
+                signal.addEventListener('abort', abort);
+            }
+        });
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    // Errors carry a `type`: 'network' or 'offline' (no answer), 'auth' (401, or Laravel's 419 for an
+    // expired session/CSRF token) or 'http' (any other status), plus `status` and the parsed `body`.
+    createNetworkError(cause) {
+        const offline = this.isOffline();
+        const error = new Error(offline ? 'The browser is offline' : ((cause && cause.message) || 'Network request failed'));
+        error.type = offline ? 'offline' : 'network';
+        error.cause = cause;
+        return error;
+    }
+
+    // The message is the server's own when a JSON body has one: { message }, { error } or the first
+    // of Laravel's { errors: { field: [...] } }
+    async createResponseError(response) {
+        let body = null;
+        try {
+            const text = await response.text();
+            body = text ? JSON.parse(text) : null;
+        } catch (e) { /* not JSON (e.g. an HTML error page) */ }
+        return this.createHttpError(response.status, body);
+    }
+
+    createHttpError(status, body) {
+        let serverMessage = null;
+        if (body && typeof body === 'object') {
+            const errors = body.errors && typeof body.errors === 'object' ? Object.values(body.errors)[0] : null;
+            serverMessage = [body.message, body.error, Array.isArray(errors) ? errors[0] : errors].find(m => typeof m === 'string' && m) || null;
+        }
+        const error = new Error(serverMessage || `Request failed with status ${status}`);
+        error.type = status === 401 || status === 419 ? 'auth' : 'http';
+        error.status = status;
+        error.body = body && typeof body === 'object' ? body : null;
+        error.serverMessage = serverMessage;
+        return error;
+    }
+
+    // onAuthError(error, retry) handlers can renew the session (a login modal, a fresh CSRF token)
+    // and then call retry(), or resolve to true. Auto-refresh doesn't report it again until a
+    // load has succeeded.
+    async handleAuthError(error, retry) {
+        this.authErrorPending = true;
+        let retried = false;
+        const retryOnce = () => {
+            if (retried || this.destroyed) return;
+            retried = true;
+            this.authErrorPending = false;
+            return retry();
+        };
+        try {
+            const results = await Promise.all(this.emit('authError', error, retryOnce));
+            if (results.includes(true)) retryOnce();
+        } catch (e) {
+            console.error('[CustomDataTable] onAuthError handler failed:', e);
+        }
+    }
+
+    // What the table shows for a failed load: a reload prompt for an expired session, an offline
+    // notice (the table reloads itself once the browser is back online), else the server's message
+    showRequestError(error) {
+        if (error.type === 'auth') {
+            // with an onAuthError handler the user can sign in again and retry; without, only a reload helps
+            const handled = this.hasHandlers('authError');
+            this.showError(this.t('sessionExpired'), { retry: handled, reload: !handled });
+        } else if (error.type === 'offline') {
+            this.showError(this.t('offline'), { icon: '📡' });
+        } else if (error.serverMessage) {
+            this.showError(this.escapeHtml(error.serverMessage));
+        } else {
+            this.showError(this.t('error'));
+        }
+    }
+
+    onOnline() {
+        if (!this.reloadWhenOnline || this.destroyed) return;
+        this.reloadWhenOnline = false;
+        // an error on screen is replaced by a normal load; data on screen is refreshed quietly
+        if (this.tbody.querySelector('.table-error') || !this.data.length) {
+            this.loadData();
+        } else {
+            if (this.mode === 'client' && this.apiUrl) this.clientLoaded = false;
+            this.loadData({ background: true });
+        }
+    }
+
+    // Runs the configured response adapter and normalizes its { rows, total, filtered, hasMore } result
+    parseResponse(json, response) {
+        let adapter = this.responseAdapter;
+        if (typeof adapter !== 'function') {
+            adapter = CustomDataTable.responseAdapters[adapter];
+            if (!adapter) throw new Error(`Unknown responseAdapter "${this.responseAdapter}"`);
+        }
+
+        const parsed = adapter.call(this, json, response) || {};
+        const toCount = (value) => (value === undefined || value === null || value === '' || isNaN(value)) ? null : Number(value);
+        const rows = Array.isArray(parsed.rows) ? parsed.rows : [];
+        const total = toCount(parsed.total);
+        const filtered = toCount(parsed.filtered);
+
+        // whole-dataset aggregates: from the adapter, or { aggregates } / { meta: { aggregates } } in the body
+        let aggregates = parsed.aggregates;
+        if (aggregates === undefined && json && typeof json === 'object' && !Array.isArray(json)) {
+            aggregates = json.aggregates || (json.meta && json.meta.aggregates);
+        }
+
+        return {
+            rows,
+            total: total !== null ? total : filtered,
+            filtered: filtered !== null ? filtered : total,
+            hasMore: parsed.hasMore === undefined || parsed.hasMore === null ? null : !!parsed.hasMore, // null: not reported
+            aggregates: aggregates && typeof aggregates === 'object' ? aggregates : null
+        };
+    }
+
+    // `append` adds the rows to those already loaded (infinite mode), skipping any already there
+    // because inserts on the server shifted them onto the next page; returns the rows it added
+    applyResponse(parsed, append = false) {
+        let rows = parsed.rows;
+        if (append) {
+            const loaded = new Set(this.data.map(row => this.getRowId(row)));
+            rows = rows.filter(row => !loaded.has(this.getRowId(row)));
+            this.data = this.data.concat(rows);
+        } else {
+            this.data = rows;
+        }
+        this.serverAggregates = parsed.aggregates;
+        this.totalKnown = parsed.total !== null;
+        this.hasMore = parsed.hasMore;
+
+        if (this.totalKnown) {
+            this.totalRecords = parsed.total;
+            this.filteredRecords = parsed.filtered;
+        } else {
+            // Paginators without a count (simplePaginate) only tell us whether another page exists
+            const offset = this.paginationMode === 'infinite' ? 0 : (this.currentPage - 1) * this.perPage;
+            this.totalRecords = this.filteredRecords = offset + this.data.length;
+        }
+        return rows;
+    }
+
+    getCsrfToken() {
+        // Read CSRF token safely
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        return meta ? meta.getAttribute('content') : null;
+    }
+
+    // Default headers (AJAX marker, JSON, CSRF token) with the `headers` option merged over them.
+    // Content-Type only goes on requests with a JSON body: on a GET it would force a CORS preflight.
+    buildHeaders(hasBody = false) {
+        const headers = { 'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json' };
+        if (hasBody) headers['Content-Type'] = 'application/json';
+        const csrfToken = this.getCsrfToken();
+        if (csrfToken) headers['X-CSRF-TOKEN'] = csrfToken;
+        return Object.assign(headers, typeof this.customHeaders === 'function' ? this.customHeaders(this) : (this.customHeaders || {}));
+    }
+
+    // Builds the request descriptor { url, method, format, headers, params } for the current view.
+    // `overrides` may set page/perPage/draw, and `start` for the DataTables row offset (used when paging
+    // through data outside loadData()),
+    // or `all: true` to ask for the whole dataset without paging/sort/search (client mode).
+    async buildRequest(overrides = {}) {
+        const page = overrides.page || this.currentPage;
+        const perPage = overrides.perPage || this.perPage;
+
+        // Build either simple REST-style params or DataTables payload
+        let core = {};
+        if (!overrides.all) {
+            core = this.requestFormat === 'datatables'
+                ? this.buildDataTablesParams(page, perPage, overrides.draw || this.draw, overrides.start)
+                : this.buildSimpleParams(page, perPage);
+        }
+
+        // additionalParams never override the table's own paging/sort/search keys
+        const extra = typeof this.additionalParams === 'function' ? this.additionalParams(this) : this.additionalParams;
+        const params = Object.assign({}, extra || {}, core);
+
+        let request = { url: this.apiUrl, method: this.method, format: this.requestFormat, headers: this.buildHeaders(), params };
+
+        // transformRequest may mutate the descriptor or return a replacement (sync or async)
+        if (typeof this.transformRequest === 'function') {
+            const transformed = await this.transformRequest(request, this);
+            if (transformed && typeof transformed === 'object') request = transformed;
+        }
+        return request;
+    }
+
+    serializeRequest(request) {
+        let url = request.url;
+        const method = (request.method || 'GET').toUpperCase();
+        const params = request.params || {};
+        const fetchOptions = { method, headers: Object.assign({}, request.headers) };
+
+        if (method === 'GET') {
+            // send as querystring, nested values bracket-encoded (order[0][dir]=asc)
+            const qs = new URLSearchParams();
+            Object.keys(params).forEach(k => {
+                // DataTables GET endpoints here read a plain `search` string rather than search[value]
+                if (request.format === 'datatables' && k === 'search' && params.search && typeof params.search === 'object') {
+                    qs.set('search', params.search.value);
+                } else {
+                    this.appendQueryParam(qs, k, params[k]);
+                }
+            });
+            const query = qs.toString();
+            if (query) url += (url.includes('?') ? '&' : '?') + query;
+        } else {
+            fetchOptions.body = JSON.stringify(params);
+            const headers = fetchOptions.headers;
+            if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) headers['Content-Type'] = 'application/json';
+        }
+
+        return { url, fetchOptions };
+    }
+
+    buildDataTablesParams(page = this.currentPage, perPage = this.perPage, draw = this.draw, start = (page - 1) * perPage) {
+        const query = this.parseSearchQuery();
+        const params = {
+            draw: draw || 1,
+            start,
+            length: perPage,
+            search: {
+                value: this.getSearchText(query),
+                regex: false
+            },
+            order: this.sortList.map(sort => ({
+                column: this.getColumnIndex(sort.column),
+                dir: sort.direction
+            })),
+            columns: this.columns.map(col => ({
+                data: col._data,
+                name: col._data,
+                searchable: col.searchable !== false,
+                orderable: col.orderable !== false,
+                search: {
+                    value: this.encodeFilterValue(this.filters[col._data]),
+                    regex: false
+                }
+            }))
+        };
+        if (this.hasSearchSyntax(query)) params.search_query = query;
+        return params;
+    }
+
+    // simple format expected by many endpoints (per_page, page, search, sort_by, sort_order)
+    buildSimpleParams(page = this.currentPage, perPage = this.perPage) {
+        const query = this.parseSearchQuery();
+        const simple = {
+            per_page: perPage,
+            page: page,
+            search: this.getSearchText(query),
+            sort_order: this.sortDirection
+        };
+        if (this.hasSearchSyntax(query)) simple.search_query = query;
+        // only include sort_by if we have a valid sort column; sort_by/sort_order carry the primary key,
+        // `sort` the full list for endpoints that support multi-column sorting
+        if (this.sortColumn) {
+            simple.sort_by = this.sortColumn;
+            simple.sort = this.sortList.map(sort => ({ column: sort.column, direction: sort.direction }));
+        }
+        if (Object.keys(this.filters).length) {
+            simple.filters = Object.assign({}, this.filters);
+        }
+        return simple;
+    }
+
+    // PHP/Laravel-style bracket encoding for nested values: filters[qty][min]=5
+    appendQueryParam(qs, key, value) {
+        if (value === null || value === undefined) return;
+        if (Array.isArray(value)) {
+            value.forEach((v, i) => this.appendQueryParam(qs, `${key}[${i}]`, v));
+        } else if (typeof value === 'object') {
+            Object.keys(value).forEach(k => this.appendQueryParam(qs, `${key}[${k}]`, value[k]));
+        } else {
+            qs.append(key, value);
+        }
+    }
+    
+    // Client Mode Methods
+    // Filters, sorts and slices this.allData, then renders through the same UI as server mode
+    renderClientPage() {
+        const rows = this.getClientRows();
+        this.totalKnown = true;
+        this.hasMore = false;
+        this.totalRecords = this.allData.length;
+        this.filteredRecords = rows.length;
+
+        const totalPages = Math.max(1, Math.ceil(rows.length / this.perPage));
+        if (this.currentPage > totalPages) this.currentPage = totalPages;
+        const start = (this.currentPage - 1) * this.perPage;
+        // infinite mode shows everything up to the current page
+        this.data = rows.slice(this.paginationMode === 'infinite' ? 0 : start, start + this.perPage);
+
+        this.renderTable();
+        this.emit('dataLoaded', this.data, this.totalRecords);
+    }
+
+    // Every row matching the current search and column filters, in the current sort order
+    getClientRows() {
+        // every word and phrase must appear in some searchable column, and every field term must hold
+        const query = this.parseSearchQuery();
+        const needles = query.terms.concat(query.phrases).map(term => term.toLowerCase());
+        const searchColumns = this.columns.filter(col => col._data && !col.utility && col.searchable !== false);
+
+        let rows = this.allData.filter(row => {
+            const found = needles.every(needle => searchColumns.some(col => {
+                const value = row[col._data];
+                return value !== null && value !== undefined && String(value).toLowerCase().includes(needle);
+            }));
+            if (!found) return false;
+            if (!query.fields.every(term => this.matchesSearchField(row[term.field], term))) return false;
+            return Object.keys(this.filters).every(column => {
+                const col = this.columns[this.getColumnIndex(column)];
+                return this.matchesFilter(row[column], this.filters[column], col ? this.getColumnFilterDef(col) : null);
+            });
+        });
+
+        if (this.sortList.length) {
+            const keys = this.sortList.map(sort => ({
+                column: sort.column,
+                col: this.columns[this.getColumnIndex(sort.column)],
+                direction: sort.direction === 'desc' ? -1 : 1
+            }));
+            const isEmpty = v => v === null || v === undefined || v === '';
+            rows = rows.slice().sort((a, b) => {
+                // later keys only break ties left by earlier ones
+                for (const key of keys) {
+                    const x = a[key.column];
+                    const y = b[key.column];
+                    // empty values always sink to the bottom, whichever the direction
+                    const result = (isEmpty(x) || isEmpty(y))
+                        ? (isEmpty(x) === isEmpty(y) ? 0 : (isEmpty(x) ? 1 : -1))
+                        : key.direction * this.compareValues(x, y, key.col);
+                    if (result !== 0) return result;
+                }
+                return 0;
+            });
+        }
+        return rows;
+    }
+
+    // Compares by column type ('number'/'date'), or by what both values look like, else as locale-aware text
+    compareValues(a, b, col) {
+        const type = col && col.type;
+        const isNumeric = v => typeof v === 'number' || (typeof v === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(v));
+        const isDateLike = v => v instanceof Date || (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}/.test(v) && !isNaN(Date.parse(v)));
+
+        if (['number', 'numeric', 'currency', 'percent'].includes(type) || (!type && isNumeric(a) && isNumeric(b))) {
+            return (parseFloat(a) || 0) - (parseFloat(b) || 0);
+        }
+        if (['date', 'datetime', 'relative-time'].includes(type) || (!type && isDateLike(a) && isDateLike(b))) {
+            return (this.parseDate(a).getTime() || 0) - (this.parseDate(b).getTime() || 0);
+        }
+        if (type === 'boolean') {
+            return Number(this.isTruthyValue(a)) - Number(this.isTruthyValue(b));
+        }
+        if (typeof a === 'boolean' || typeof b === 'boolean') {
+            return Number(!!a) - Number(!!b);
+        }
+        return this.collator.compare(String(a), String(b));
+    }
+
+    matchesFilter(value, filter, def) {
+        const type = def ? def.type : null;
+
+        if (filter !== null && typeof filter === 'object') {
+            if (filter.min !== undefined || filter.max !== undefined) {
+                const n = parseFloat(value);
+                if (isNaN(n)) return false;
+                if (filter.min !== undefined && filter.min !== '' && n < parseFloat(filter.min)) return false;
+                if (filter.max !== undefined && filter.max !== '' && n > parseFloat(filter.max)) return false;
+                return true;
+            }
+            // compared as calendar days on both sides, so "to" includes the whole day
+            const day = this.getCalendarDay(value);
+            if (!day) return false;
+            if (filter.from && day < this.getCalendarDay(filter.from)) return false;
+            if (filter.to && day > this.getCalendarDay(filter.to)) return false;
+            return true;
+        }
+
+        if (type === 'boolean') {
+            const truthy = value === true || value === 1 || ['1', 'true', 'yes', 'y'].includes(String(value).toLowerCase());
+            return truthy === (String(filter) === '1');
+        }
+        if (type === 'select') {
+            return String(value) === String(filter);
+        }
+        return value !== null && value !== undefined && String(value).toLowerCase().includes(String(filter).toLowerCase());
+    }
+
+    // 'YYYY-MM-DD' of the day `value` falls on: a bare date as written, a timestamp in local time
+    getCalendarDay(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (this.isCalendarDate(value)) return value.trim();
+        const date = this.parseDate(value);
+        if (isNaN(date.getTime())) return null;
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Replace the client-side dataset (client mode) and re-render from the first page
+    setData(rows) {
+        this.allData = Array.isArray(rows) ? rows.slice() : [];
+        this.clientLoaded = true;
+        this.currentPage = 1;
+        this.renderClientPage();
+    }
+
+    // Reload from the server. In client mode this re-fetches the full dataset from apiUrl.
+    // The page cache is bypassed, but what comes back is cached again.
+    refresh() {
+        if (this.mode === 'client' && this.apiUrl) this.clientLoaded = false;
+        return this.loadData({ cache: false });
+    }
+
+    // Tear the table down (e.g. when the modal or tab holding it closes): removes every listener,
+    // timer and element the table added, cancels the in-flight request and empties what it rendered.
+    // A new CustomDataTable can be mounted on the same markup afterwards.
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        if (CustomDataTable.urlPrefixOwners.get(this.urlPrefix) === this) CustomDataTable.urlPrefixOwners.delete(this.urlPrefix);
+
+        this.stopAutoRefresh();
+        if (this.loadMoreObserver) this.loadMoreObserver.disconnect();
+        this.loadMoreObserver = null;
+        this.draw++; // anything still pending is now stale
+        if (this.abortController) this.abortController.abort();
+        this.abortController = null;
+        if (this.prefetchController) this.prefetchController.abort();
+        this.prefetchController = null;
+        if (this.suggestionController) this.suggestionController.abort();
+        this.suggestionController = null;
+        this.invalidate();
+        clearTimeout(this.searchDebounce);
+        this.filterDebounce.forEach(timer => clearTimeout(timer));
+        this.filterDebounce.clear();
+        clearTimeout(this.highlightTimer);
+
+        this.domListeners.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+        this.domListeners = [];
+
+        this.endColumnResize();
+        if (this.filterRow && this.filterRow.parentNode) this.filterRow.parentNode.removeChild(this.filterRow);
+        this.filterRow = null;
+        if (this.ownsColumnChooser && this.columnChooserEl && this.columnChooserEl.parentNode) {
+            this.columnChooserEl.parentNode.removeChild(this.columnChooserEl);
+        } else if (this.columnChooserEl) {
+            this.columnChooserEl.innerHTML = '';
+        }
+        this.columnChooserEl = null;
+        if (this.headerRow) {
+            this.headerRow.querySelectorAll('.column-resizer').forEach(handle => handle.remove());
+            this.headerRow.querySelectorAll('[data-column-id]').forEach(th => {
+                th.style.display = th.style.width = th.style.minWidth = th.style.maxWidth = '';
+                delete th.dataset.columnId;
+            });
+        }
+        if (this.ownsExpanderHeader) this.ownsExpanderHeader.remove();
+        this.ownsExpanderHeader = null;
+        if (this.ownsFooter && this.table.tFoot) {
+            this.table.deleteTFoot();
+        } else if (this.aggregateRow) {
+            this.aggregateRow.remove();
+        }
+        this.aggregateRow = null;
+        if (this.ownsSelectionBanner && this.selectionBanner && this.selectionBanner.parentNode) {
+            this.selectionBanner.parentNode.removeChild(this.selectionBanner);
+        } else if (this.selectionBanner) {
+            this.selectionBanner.classList.remove('active');
+            this.selectionBanner.innerHTML = '';
+        }
+        this.selectionBanner = null;
+        this.openMenu = null;
+        this.openMenuButton = null;
+        this.editingCell = null;
+        this.removePrintFrame();
+
+        if (this.tbody) this.tbody.innerHTML = '';
+        if (this.pagination) this.pagination.innerHTML = '';
+        if (this.tableInfo) this.tableInfo.textContent = '';
+        this.hideSuggestions();
+        if (this.searchSuggestions) this.searchSuggestions.innerHTML = '';
+        if (this.liveRegion && this.liveRegion.parentNode) this.liveRegion.parentNode.removeChild(this.liveRegion);
+        this.liveRegion = null;
+        this.table.querySelectorAll('thead .sort-priority').forEach(badge => badge.remove());
+        this.restoreDomChanges(); // classes, ARIA and tabindex on the headers, search input and table
+
+        this.listeners = {};
+        this.callbacks = {};
+        this.data = [];
+        this.allData = [];
+        this.selectedRows.clear();
+        this.excludedRows.clear();
+        this.expandedRows.clear();
+        this.detailContent.clear();
+    }
+
+    getColumnIndex(columnName) {
+        return this.columns.findIndex(col => col._data === columnName || col.data === columnName || col.key === columnName);
+    }
+    
+    showLoading() {
+        this.setDomAttribute(this.table, 'aria-busy', 'true');
+        this.announce(this.t('loading'));
+        // rows already on screen stay (dimmed) until the new ones arrive, so renderBody() can reuse them
+        if (this.tbody.querySelector('tr[data-id]')) {
+            this.toggleDomClass(this.table, 'table-loading', true);
+            return;
+        }
+        const colspan = this.getTotalColumns();
+        this.tbody.innerHTML = `
+            <tr>
+                <td colspan="${colspan}" class="text-center py-4">
+                    <div class="spinner-border text-primary" role="status">
+                        <span class="visually-hidden">${this.t('loading')}</span>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    getTotalColumns() {
+        // number of visible columns + actions column
+        const visible = this.getVisibleColumns().length;
+        const hasActions = (this.actions && this.actions.length) ? 1 : 0;
+        return visible + hasActions;
+    }
+    
+    // Accessibility Methods
+    // Wires up ARIA that the page markup cannot know about: the search combobox, the live region,
+    // and grid semantics when keyboardNavigation is on
+    setupAccessibility() {
+        if (this.searchInput && this.searchSuggestions) {
+            if (!this.searchSuggestions.id) this.setDomAttribute(this.searchSuggestions, 'id', `${this.tableId}-suggestions`);
+            this.setDomAttribute(this.searchSuggestions, 'role', 'listbox');
+            this.setDomAttribute(this.searchInput, 'role', 'combobox');
+            this.setDomAttribute(this.searchInput, 'aria-autocomplete', 'list');
+            this.setDomAttribute(this.searchInput, 'aria-controls', this.searchSuggestions.id);
+            this.setDomAttribute(this.searchInput, 'aria-expanded', 'false');
+            this.setDomAttribute(this.searchInput, 'aria-activedescendant', null);
+        }
+
+        // A visually hidden polite region announces the info text and loading/error states
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'visually-hidden table-live-region';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.table.parentNode.insertBefore(this.liveRegion, this.table.nextSibling);
+
+        if (this.keyboardNavigation) this.setDomAttribute(this.table, 'role', 'grid');
+        this.updateSortIndicators(); // tabindex and aria-sort on the headers
+    }
+
+    // Repeating the same text is skipped, so background refreshes with unchanged counts stay silent
+    announce(message) {
+        if (!this.liveRegion || !message || message === this.lastAnnouncement) return;
+        this.lastAnnouncement = message;
+        this.liveRegion.textContent = message;
+    }
+
+    onTableKeydown(e) {
+        const header = e.target.closest('thead th[data-column]');
+        if (header && e.target === header && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            if (this.isColumnSortable(header.dataset.column)) this.sortTable(header.dataset.column, header, e.shiftKey);
+            return;
+        }
+        // Enter on an editable cell opens its editor (F2 too, as in spreadsheets)
+        if ((e.key === 'Enter' || e.key === 'F2') && e.target.matches && e.target.matches('td[data-editable]')) {
+            e.preventDefault();
+            this.startEdit(e.target);
+            return;
+        }
+        if (this.keyboardNavigation && this.tbody.contains(e.target)) this.onGridKeydown(e);
+        else if (e.target.matches && e.target.matches('td[data-editable]')) this.onEditableKeydown(e);
+    }
+
+    // Without grid navigation the editable cells share one tab stop (roving tabindex), so a large
+    // table doesn't add a stop per cell: the cell last focused, else the first. Arrows move between them.
+    updateEditableTabindex() {
+        if (this.keyboardNavigation) return;
+        const cells = this.getEditableCells();
+        if (!cells.length) return;
+        const stop = this.editableTabStop;
+        const current = (stop && cells.find(td => td.dataset.columnId === stop.columnId && td.parentNode.dataset.id === stop.id)) || cells[0];
+        cells.forEach(td => td.setAttribute('tabindex', td === current ? '0' : '-1'));
+    }
+
+    getEditableCells() {
+        return Array.from(this.tbody.querySelectorAll('td[data-editable]')).filter(td => !td.parentNode.hidden); // collapsed groups hide rows
+    }
+
+    setEditableTabStop(cell) {
+        this.editableTabStop = { id: cell.parentNode.dataset.id, columnId: cell.dataset.columnId };
+        this.tbody.querySelectorAll('td[data-editable][tabindex="0"]').forEach(td => {
+            if (td !== cell) td.setAttribute('tabindex', '-1');
+        });
+        cell.setAttribute('tabindex', '0');
+    }
+
+    onEditableKeydown(e) {
+        const cell = e.target;
+        const cells = this.getEditableCells();
+        const index = cells.indexOf(cell);
+        let next = null;
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            const forward = (e.key === 'ArrowRight') !== (this.dir === 'rtl');
+            next = cells[index + (forward ? 1 : -1)];
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            // the same column in the nearest row above or below that has it
+            const column = cells.filter(td => td.dataset.columnId === cell.dataset.columnId);
+            next = column[column.indexOf(cell) + (e.key === 'ArrowDown' ? 1 : -1)];
+        } else {
+            return;
+        }
+        e.preventDefault();
+        if (!next) return;
+        this.setEditableTabStop(next);
+        next.focus();
+    }
+
+    // Grid Navigation (keyboardNavigation: true)
+    // One cell is in the tab order at a time (roving tabindex); controls inside cells are reached with
+    // Enter or F2, and Escape returns to the cell.
+    getGridRows() {
+        return Array.from(this.tbody.rows).filter(tr => tr.dataset.id !== undefined && !tr.hidden);
+    }
+
+    updateGridTabindex() {
+        const rows = this.getGridRows();
+        this.tbody.querySelectorAll('td').forEach(td => td.setAttribute('tabindex', '-1'));
+        // group header toggles are not grid cells, so they stay in the normal tab order
+        this.tbody.querySelectorAll('tr:not(.group-row) td a, tr:not(.group-row) td button, td input, td select, td textarea').forEach(el => el.setAttribute('tabindex', '-1'));
+        if (!rows.length) return;
+
+        const rowIndex = Math.min(this.focusedCell.row, rows.length - 1);
+        const cells = rows[rowIndex].cells;
+        const cell = cells[Math.min(this.focusedCell.col, cells.length - 1)];
+        if (cell) cell.setAttribute('tabindex', '0');
+    }
+
+    setFocusedCell(cell) {
+        const tr = cell.parentNode;
+        const row = this.getGridRows().indexOf(tr);
+        if (row === -1) return;
+        this.focusedCell = { row, col: Array.prototype.indexOf.call(tr.cells, cell) };
+        this.tbody.querySelectorAll('td[tabindex="0"]').forEach(td => {
+            if (td !== cell) td.setAttribute('tabindex', '-1');
+        });
+        cell.setAttribute('tabindex', '0');
+    }
+
+    focusCell(row, col) {
+        const rows = this.getGridRows();
+        if (!rows.length) return;
+        const tr = rows[Math.max(0, Math.min(row, rows.length - 1))];
+        const cell = tr.cells[Math.max(0, Math.min(col, tr.cells.length - 1))];
+        if (!cell) return;
+        this.setFocusedCell(cell);
+        cell.focus();
+    }
+
+    onGridKeydown(e) {
+        const cell = e.target.closest('td');
+        if (!cell) return;
+
+        // Inside a cell's control only Escape matters: back to the cell (editors handle their own keys)
+        if (e.target !== cell) {
+            if (e.target.closest('.cell-editor')) return;
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                cell.focus();
+            }
+            return;
+        }
+
+        const { row, col } = this.focusedCell;
+        const lastCol = cell.parentNode.cells.length - 1;
+        const lastRow = this.getGridRows().length - 1;
+        switch (e.key) {
+            // right-to-left tables start on the right, so the arrows follow what is on screen
+            case 'ArrowRight': this.focusCell(row, this.dir === 'rtl' ? col - 1 : col + 1); break;
+            case 'ArrowLeft': this.focusCell(row, this.dir === 'rtl' ? col + 1 : col - 1); break;
+            case 'ArrowDown': this.focusCell(row + 1, col); break;
+            case 'ArrowUp': this.focusCell(row - 1, col); break;
+            case 'Home': this.focusCell(e.ctrlKey ? 0 : row, 0); break;
+            case 'End': this.focusCell(e.ctrlKey ? lastRow : row, lastCol); break;
+            case 'PageDown':
+            case 'PageUp':
+                if (this.paginationMode === 'infinite') {
+                    // one long list: jump ten rows (scrolling further loads more)
+                    this.focusCell(Math.max(0, Math.min(lastRow, row + (e.key === 'PageDown' ? 10 : -10))), col);
+                    break;
+                }
+                // the rows are replaced, so focus is put back once the new page has rendered
+                this.restoreGridFocus = true;
+                this.goToPage(this.currentPage + (e.key === 'PageDown' ? 1 : -1));
+                break;
+            case 'Enter':
+            case 'F2': {
+                const control = cell.querySelector('a, button:not([disabled]), input, select, textarea');
+                if (control) {
+                    control.focus();
+                } else if (e.key === 'Enter') {
+                    cell.click(); // same as clicking the row (onRowClick / rowHighlight)
+                }
+                break;
+            }
+            case ' ': {
+                const checkbox = cell.querySelector('input[type="checkbox"]');
+                if (!checkbox) return;
+                checkbox.click();
+                break;
+            }
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    // Inline Editing Methods
+    // `editable` on a column: true, an editor type ('text', 'number', 'select', 'date', 'checkbox'),
+    // or { type, options, min, max, step, url, method }
+    getEditorDef(col) {
+        if (!col || !col.editable) return null;
+        const def = typeof col.editable === 'object' ? Object.assign({}, col.editable) : { type: col.editable };
+        if (!def.type || def.type === true) {
+            const editors = { number: 'number', currency: 'number', percent: 'number', date: 'date', boolean: 'checkbox' };
+            def.type = editors[col.type] || 'text';
+        }
+        return def;
+    }
+
+    findRowById(id) {
+        return this.data.find(r => this.getRowId(r) === String(id)) || null;
+    }
+
+    findCell(id, columnId) {
+        const tr = Array.from(this.tbody.rows).find(r => r.dataset.id === String(id));
+        return tr ? Array.from(tr.cells).find(td => td.dataset.columnId === columnId) || null : null;
+    }
+
+    startEdit(td, initialValue) {
+        const tr = td.closest('tr[data-id]');
+        const col = tr && this.getColumnById(td.dataset.columnId);
+        const row = tr && this.findRowById(tr.dataset.id);
+        const def = this.getEditorDef(col);
+        if (!def || !row) return;
+        if (this.editingCell) {
+            if (this.editingCell.td === td) return;
+            this.commitEdit();
+        }
+
+        const original = row[col._data];
+        const value = initialValue !== undefined ? initialValue : original;
+        this.forgetRendered(td); // the next render must replace the editor
+        td.classList.add('cell-editing');
+        td.innerHTML = this.renderEditor(def, value);
+        const input = td.querySelector('.cell-editor');
+        this.editingCell = { id: tr.dataset.id, columnId: col._id, td, input, original };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === 'Escape' || e.key === 'Tab') {
+                e.preventDefault();
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    this.cancelEdit();
+                } else {
+                    this.commitEdit();
+                }
+            }
+        });
+        input.addEventListener('blur', () => {
+            // blur also fires when the editor is torn down; only a live editor commits
+            if (this.editingCell && this.editingCell.input === input) this.commitEdit();
+        });
+        if (def.type === 'select' && def.optionsUrl && !def.options) this.loadEditorOptions(col, def, input, value);
+
+        input.focus();
+        if (input.select && (def.type === 'text' || def.type === 'number')) input.select();
+    }
+
+    renderEditor(def, value) {
+        const attrs = 'class="form-control form-control-sm cell-editor"';
+        const text = value === null || value === undefined ? '' : String(value);
+        switch (def.type) {
+            case 'number': {
+                const limits = ['min', 'max', 'step'].filter(k => def[k] !== undefined).map(k => ` ${k}="${this.escapeHtml(def[k])}"`).join('');
+                return `<input type="number" ${attrs} value="${this.escapeHtml(text)}"${limits} />`;
+            }
+            case 'date':
+                return `<input type="date" ${attrs} value="${this.escapeHtml(text.slice(0, 10))}" />`;
+            case 'checkbox':
+                return `<input type="checkbox" class="form-check-input cell-editor"${this.isTruthyValue(value) ? ' checked' : ''} />`;
+            case 'select': {
+                const options = this.normalizeFilterOptions(def.options || []);
+                return `<select class="form-select form-select-sm cell-editor">${this.renderEditorOptions(options, text)}</select>`;
+            }
+            default:
+                return `<input type="text" ${attrs} value="${this.escapeHtml(text)}" />`;
+        }
+    }
+
+    renderEditorOptions(options, selected) {
+        // keep the current value selectable even when the options don't list it
+        if (selected !== '' && !options.some(o => o.value === selected)) options = [{ value: selected, label: selected }].concat(options);
+        return options.map(o => `<option value="${this.escapeHtml(o.value)}"${o.value === selected ? ' selected' : ''}>${this.escapeHtml(o.label)}</option>`).join('');
+    }
+
+    async loadEditorOptions(col, def, select, value) {
+        try {
+            const response = await fetch(def.optionsUrl, { headers: this.buildHeaders() });
+            if (!response.ok) throw await this.createResponseError(response);
+            const result = await response.json();
+            def.options = Array.isArray(result) ? result : (result && (result.data || result.options)) || [];
+            // cache on the column so the next edit doesn't fetch again
+            col.editable = Object.assign(typeof col.editable === 'object' ? col.editable : {}, { type: 'select', options: def.options });
+            if (select.isConnected) select.innerHTML = this.renderEditorOptions(this.normalizeFilterOptions(def.options), value === null || value === undefined ? '' : String(value));
+        } catch (e) {
+            console.warn(`Failed to load editor options for "${col._id}":`, e);
+        }
+    }
+
+    isTruthyValue(value) {
+        return value === true || value === 1 || ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+    }
+
+    readEditorValue(def, input, original) {
+        if (def.type === 'checkbox') {
+            // answer in the same shape the server sent (1/0 vs true/false)
+            return typeof original === 'number' ? (input.checked ? 1 : 0) : input.checked;
+        }
+        if (def.type === 'number') return input.value === '' ? null : parseFloat(input.value);
+        return input.value;
+    }
+
+    cancelEdit() {
+        const edit = this.editingCell;
+        if (!edit) return;
+        this.editingCell = null;
+        const row = this.findRowById(edit.id);
+        if (row) this.renderCell(edit.td, row);
+        edit.td.focus();
+    }
+
+    // Applies the edit to the row right away and saves it; the server's answer confirms or rolls back
+    async commitEdit() {
+        const edit = this.editingCell;
+        if (!edit) return;
+        this.editingCell = null;
+
+        const row = this.findRowById(edit.id);
+        const col = this.getColumnById(edit.columnId);
+        const def = this.getEditorDef(col);
+        if (!row || !def) return;
+        const field = col._data;
+        const value = this.readEditorValue(def, edit.input, edit.original);
+        const oldValue = edit.original;
+
+        const unchanged = value === oldValue || (value !== null && oldValue !== null && oldValue !== undefined && String(value) === String(oldValue));
+        if (unchanged) {
+            this.renderCell(edit.td, row);
+            if (edit.td.contains(document.activeElement) || document.activeElement === document.body) edit.td.focus();
+            return;
+        }
+
+        row[field] = value; // optimistic
+        this.renderCell(edit.td, row);
+        edit.td.classList.add('cell-saving');
+        if (document.activeElement === document.body) edit.td.focus();
+
+        try {
+            const result = await this.saveCell(row, field, value, def);
+            // servers that echo the saved record (e.g. an API Resource) may have normalized other fields too
+            const saved = result && typeof result === 'object' && result.data && typeof result.data === 'object' && !Array.isArray(result.data) ? result.data : null;
+            if (saved && (saved[this.primaryKey] === undefined || String(saved[this.primaryKey]) === edit.id)) Object.assign(row, saved);
+            this.invalidate(edit.id);
+
+            const cell = this.findCell(edit.id, edit.columnId);
+            if (cell) {
+                this.renderCell(cell, row);
+                this.flashCell(cell, 'cell-saved');
+            }
+            this.emit('cellEdited', edit.id, field, row[field], row, oldValue, result);
+        } catch (error) {
+            row[field] = oldValue; // roll back
+            const cell = this.findCell(edit.id, edit.columnId);
+            if (!cell) return;
+            this.renderCell(cell, row);
+
+            let message = error.validation ? error.message : (error.serverMessage || this.t('saveError'));
+            if (error.type === 'auth') {
+                message = this.t('sessionExpired');
+                // once signed in again, the editor reopens with what was typed
+                this.handleAuthError(error, () => {
+                    const target = this.findCell(edit.id, edit.columnId);
+                    if (target) this.startEdit(target, value);
+                });
+            }
+            if (error.validation) {
+                // reopen with what the user typed, so they can fix it
+                this.startEdit(cell, value);
+            }
+            this.showCellError(cell, message);
+            if (!error.validation) {
+                console.error('[CustomDataTable] Saving cell failed:', error);
+                this.emit('error', error);
+            }
+        }
+    }
+
+    // PATCH/PUT { field: value } to editUrl (or the column's editable.url) with the CSRF token.
+    // Without any URL (client mode with inline data) the edit stays local.
+    async saveCell(row, field, value, def) {
+        const id = this.getRowId(row);
+        let url = def.url || this.editUrl || (this.apiUrl ? `${this.apiUrl.replace(/\/+$/, '')}/{id}` : null);
+        if (typeof url === 'function') url = url(row, field, value);
+        if (!url) return null;
+        url = this.fillTemplate(url.replace(/\{field\}/g, encodeURIComponent(field)), row, id);
+
+        const response = await fetch(url, {
+            method: (def.method || this.editMethod).toUpperCase(),
+            headers: this.buildHeaders(true),
+            body: JSON.stringify({ [field]: value })
+        });
+        const text = await response.text();
+        let result = text;
+        try { result = text ? JSON.parse(text) : null; } catch (e) { /* not JSON */ }
+
+        if (response.status === 422) {
+            // Laravel validation: { message, errors: { field: ['...'] } }
+            const errors = result && result.errors ? result.errors[field] : null;
+            const error = new Error((Array.isArray(errors) ? errors[0] : errors) || (result && result.message) || this.t('invalid'));
+            error.validation = true;
+            error.errors = result && result.errors;
+            throw error;
+        }
+        if (!response.ok) throw this.createHttpError(response.status, result);
+        return result;
+    }
+
+    renderCell(td, row) {
+        const col = this.getColumnById(td.dataset.columnId);
+        td.classList.remove('cell-editing', 'cell-saving', 'cell-invalid');
+        td.innerHTML = this.renderCellContent(col, row);
+        if (typeof feather !== 'undefined') feather.replace();
+    }
+
+    showCellError(td, message) {
+        this.forgetRendered(td);
+        td.classList.add('cell-invalid');
+        const error = document.createElement('div');
+        error.className = 'cell-error';
+        error.setAttribute('role', 'alert');
+        error.textContent = message;
+        td.appendChild(error);
+        const input = td.querySelector('.cell-editor');
+        if (input) {
+            input.classList.add('is-invalid');
+            input.setAttribute('aria-invalid', 'true');
+        }
+        this.announce(message);
+    }
+
+    flashCell(td, className) {
+        td.classList.add(className);
+        setTimeout(() => td.classList.remove(className), 1500);
+    }
+
+    // Detail Row Methods
+    getDetailRowId(id) {
+        return `${this.tableId}-detail-${id}`;
+    }
+
+    renderDetailRow(row) {
+        const id = this.getRowId(row);
+        return `<tr class="detail-row" id="${this.escapeHtml(this.getDetailRowId(id))}" data-detail-for="${this.escapeHtml(id)}"><td colspan="${this.getTotalColumns()}"><div class="detail-content"><div class="detail-loading text-muted">${this.t('loading')}</div></div></td></tr>`;
+    }
+
+    expandRow(id) {
+        this.toggleRowDetail(id, true);
+    }
+
+    collapseRow(id) {
+        this.toggleRowDetail(id, false);
+    }
+
+    collapseAllRows() {
+        Array.from(this.expandedRows).forEach(id => this.toggleRowDetail(id, false));
+    }
+
+    getExpandedRows() {
+        return Array.from(this.expandedRows);
+    }
+
+    isRowExpanded(id) {
+        return this.expandedRows.has(String(id));
+    }
+
+    // Opens or closes one detail row in place, without re-rendering the page
+    toggleRowDetail(id, expand) {
+        if (!this.expanderColumn) return;
+        id = String(id);
+        const open = expand === undefined ? !this.expandedRows.has(id) : !!expand;
+        if (open === this.expandedRows.has(id)) return;
+
+        const tr = Array.from(this.tbody.rows).find(r => r.dataset.id === id);
+        const row = this.findRowById(id);
+        if (open) {
+            this.expandedRows.add(id);
+            if (tr && row) {
+                tr.after(...this.createRows(this.renderDetailRow(row)));
+                this.fillDetail(id);
+            }
+        } else {
+            this.expandedRows.delete(id);
+            const detail = document.getElementById(this.getDetailRowId(id));
+            if (detail) detail.remove();
+        }
+
+        const button = tr && tr.querySelector('[data-detail-toggle]');
+        if (button) {
+            button.classList.toggle('expanded', open);
+            button.setAttribute('aria-expanded', String(open));
+        }
+        if (this.keepDetailsOpen) this.saveState();
+        this.emit('detailToggle', id, open, row);
+    }
+
+    // Puts the row's detail content into its (already rendered) detail row, loading it if needed
+    async fillDetail(id) {
+        const detail = document.getElementById(this.getDetailRowId(id));
+        const row = this.findRowById(id);
+        if (!detail || !row) return;
+        const target = detail.querySelector('.detail-content');
+
+        try {
+            // a synchronous detailRender() without a URL renders straight from the current row, uncached
+            let rendered = null;
+            if (!this.detailUrl && !(this.detailCache && this.detailContent.has(id)) && !this.detailRequests.has(id)) {
+                rendered = this.detailRender(row);
+                if (!rendered || typeof rendered.then !== 'function') {
+                    target.innerHTML = rendered === null || rendered === undefined ? '' : String(rendered);
+                    if (typeof feather !== 'undefined') feather.replace();
+                    return;
+                }
+            }
+
+            const html = await this.loadDetail(id, row, rendered);
+            if (!target.isConnected) return; // collapsed or re-rendered meanwhile; the next fill uses the cache
+            target.innerHTML = html;
+            if (typeof feather !== 'undefined') feather.replace();
+        } catch (error) {
+            console.error('[CustomDataTable] Loading row details failed:', error);
+            if (target.isConnected) target.innerHTML = `<div class="detail-error text-danger">${this.t('detailError')}</div>`;
+            this.emit('error', error);
+        }
+    }
+
+    // detailUrl responses are inserted as HTML, or handed to detailRender(row, data) when both are set
+    loadDetail(id, row, rendered = null) {
+        if (this.detailCache && this.detailContent.has(id)) return Promise.resolve(this.detailContent.get(id));
+        if (this.detailRequests.has(id)) return this.detailRequests.get(id);
+
+        const load = (async () => {
+            let html;
+            if (this.detailUrl) {
+                let url = typeof this.detailUrl === 'function' ? this.detailUrl(row) : this.detailUrl;
+                url = this.fillTemplate(url, row, id);
+                const response = await fetch(url, { headers: Object.assign(this.buildHeaders(), { 'Accept': this.detailRender ? 'application/json' : 'text/html, application/json' }) });
+                if (!response.ok) throw new Error(`Loading details failed with status ${response.status}`);
+                const text = await response.text();
+                if (this.detailRender) {
+                    let data = text;
+                    try { data = JSON.parse(text); } catch (e) { /* not JSON */ }
+                    html = await this.detailRender(row, data);
+                } else {
+                    html = text;
+                }
+            } else {
+                html = await (rendered || this.detailRender(row));
+            }
+            html = html === null || html === undefined ? '' : String(html);
+            if (this.detailCache) this.detailContent.set(id, html);
+            return html;
+        })();
+        this.detailRequests.set(id, load);
+        const done = () => this.detailRequests.delete(id);
+        load.then(done, done);
+        return load;
+    }
+
+    // Drops cached detail content (one row, or all) and refreshes open detail rows
+    clearDetailCache(id) {
+        if (id === undefined) {
+            this.detailContent.clear();
+        } else {
+            this.detailContent.delete(String(id));
+        }
+        this.expandedRows.forEach(openId => {
+            if (id === undefined || openId === String(id)) this.fillDetail(openId);
+        });
+    }
+
+    // Body rows for this.data: every row, grouped rows, or only the visible window in virtual mode
+    renderRows() {
+        if (this.virtualScroll) return this.renderVirtualRows();
+        return this.groupBy ? this.renderGroupedRows() : this.data.map((row, idx) => this.renderRow(row, idx)).join('');
+    }
+
+    // Keyed Rendering Methods
+    // Rows are matched to the ones already in the tbody by key (primary key for data rows), then
+    // moved, patched or inserted. Rows and cells whose HTML did not change keep their elements,
+    // so focus, checkbox state, tooltips and transitions survive sorting, paging and refreshes.
+    renderBody(html) {
+        const focused = this.tbody.contains(document.activeElement) ? document.activeElement : null;
+        const existing = new Map();
+        Array.from(this.tbody.children).forEach(tr => {
+            const key = this.getRowKey(tr);
+            if (key && !existing.has(key)) existing.set(key, tr);
+        });
+
+        const rows = this.createRows(html, false);
+        rows.forEach((source, index) => {
+            const key = this.getRowKey(source);
+            let tr = key ? existing.get(key) : null;
+            if (tr) {
+                existing.delete(key);
+                this.patchRow(tr, source);
+            } else {
+                tr = source;
+                this.rememberRendered(tr);
+            }
+            const current = this.tbody.children[index];
+            if (current !== tr) this.tbody.insertBefore(tr, current || null);
+        });
+        // everything past the new rows is left over from the previous render
+        Array.from(this.tbody.children).slice(rows.length).forEach(tr => tr.remove());
+        // moving a row blurs whatever had focus inside it
+        if (focused && focused !== document.activeElement && this.tbody.contains(focused)) focused.focus({ preventScroll: true });
+    }
+
+    // Keys for rows that can be reused; the rest (empty state, spinners, spacers) are always re-created
+    getRowKey(tr) {
+        if (tr.dataset.id !== undefined) return `row:${tr.dataset.id}`;
+        if (tr.dataset.detailFor !== undefined) return `detail:${tr.dataset.detailFor}`;
+        if (tr.dataset.group !== undefined) return `group:${tr.dataset.group}`;
+        if (tr.classList.contains('load-more-row')) return 'load-more';
+        return null;
+    }
+
+    createRows(html, remember = true) {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        const rows = Array.from(template.content.children);
+        if (remember) rows.forEach(tr => this.rememberRendered(tr));
+        return rows;
+    }
+
+    rememberRendered(tr) {
+        this.renderedHtml.set(tr, tr.outerHTML);
+        Array.from(tr.children).forEach(cell => this.renderedHtml.set(cell, cell.outerHTML));
+    }
+
+    // For cells changed outside the renderer (editors, error messages): the next render rewrites them
+    forgetRendered(cell) {
+        this.renderedHtml.delete(cell);
+        if (cell.parentNode) this.renderedHtml.delete(cell.parentNode);
+    }
+
+    patchRow(tr, source) {
+        const html = source.outerHTML;
+        if (this.renderedHtml.get(tr) === html) return;
+        this.renderedHtml.set(tr, html);
+        this.syncAttributes(tr, source);
+
+        const cells = Array.from(tr.children);
+        const next = Array.from(source.children);
+        if (cells.length !== next.length) {
+            // the column layout changed; the cells can't be matched one to one
+            tr.replaceChildren(...next);
+            next.forEach(cell => this.renderedHtml.set(cell, cell.outerHTML));
+            return;
+        }
+        next.forEach((cell, index) => {
+            const cellHtml = cell.outerHTML;
+            if (this.renderedHtml.get(cells[index]) === cellHtml) return;
+            this.renderedHtml.set(cells[index], cellHtml);
+            this.syncAttributes(cells[index], cell);
+            cells[index].innerHTML = cell.innerHTML;
+        });
+    }
+
+    syncAttributes(el, source) {
+        Array.from(el.attributes).forEach(attr => {
+            if (!source.hasAttribute(attr.name)) el.removeAttribute(attr.name);
+        });
+        Array.from(source.attributes).forEach(attr => {
+            if (el.getAttribute(attr.name) !== attr.value) el.setAttribute(attr.name, attr.value);
+        });
+    }
+
+    // feather.replace() scans the whole document, so it only runs when there are new icons
+    replaceIcons() {
+        if (typeof feather !== 'undefined' && this.table.querySelector('[data-feather]')) feather.replace();
+    }
+
+    // Row Mutation Methods
+    // For callers that already know about a change (e.g. from a websocket or a modal form):
+    // the affected row is patched in place, without reloading from the server. Cached pages that
+    // no longer match are dropped.
+    updateRow(id, data) {
+        const row = this.findRowById(id) || (this.mode === 'client' ? this.allData.find(r => this.getRowId(r) === String(id)) : null);
+        if (!row) return null;
+        Object.assign(row, data);
+        this.invalidate(id);
+        this.rerender();
+        return row;
+    }
+
+    // position: 'start' (default) or 'end' of the page; in client mode the current sort decides
+    addRow(data, options = {}) {
+        const row = Object.assign({}, data);
+        const atEnd = options.position === 'end';
+        if (this.mode === 'client') {
+            if (atEnd) this.allData.push(row);
+            else this.allData.unshift(row);
+        } else {
+            if (atEnd) this.data.push(row);
+            else this.data.unshift(row);
+            this.totalRecords++;
+            this.filteredRecords++;
+        }
+        this.invalidate(); // every cached page after this one has shifted
+        this.rerender();
+        return row;
+    }
+
+    removeRow(id) {
+        id = String(id);
+        const index = this.data.findIndex(r => this.getRowId(r) === id);
+        const clientIndex = this.mode === 'client' ? this.allData.findIndex(r => this.getRowId(r) === id) : -1;
+        if (index === -1 && clientIndex === -1) return false;
+
+        if (clientIndex !== -1) this.allData.splice(clientIndex, 1);
+        if (index !== -1) this.data.splice(index, 1);
+        if (this.mode !== 'client') {
+            this.totalRecords = Math.max(0, this.totalRecords - 1);
+            this.filteredRecords = Math.max(0, this.filteredRecords - 1);
+        }
+        this.invalidate();
+        this.expandedRows.delete(id);
+        this.detailContent.delete(id);
+        if (this.selectedRows.has(id) || this.excludedRows.has(id)) {
+            this.selectedRows.delete(id);
+            this.excludedRows.delete(id);
+            this.notifySelectionChange();
+        }
+        this.rerender();
+        return true;
+    }
+
+    // Client mode re-applies search, filters and sort; server mode renders what it has
+    rerender() {
+        if (this.mode === 'client') {
+            this.renderClientPage();
+        } else {
+            this.renderTable();
+        }
+    }
+
+    // Infinite Scroll Methods
+    hasMoreRows() {
+        return this.totalKnown ? this.data.length < this.filteredRecords : this.hasMore;
+    }
+
+    renderLoadMoreRow() {
+        if (this.paginationMode !== 'infinite' || !this.hasMoreRows()) return '';
+        const label = this.t(this.loadingMore ? 'loading' : 'loadMore');
+        return `<tr class="load-more-row"><td colspan="${this.getTotalColumns()}" class="text-center"><button type="button" class="btn btn-link btn-sm" data-load-more${this.loadingMore ? ' disabled' : ''}>${label}</button></td></tr>`;
+    }
+
+    // The "load more" row doubles as the sentinel: once it comes within 200px of the viewport
+    // the next page is appended. Without IntersectionObserver the button still works.
+    observeLoadMore() {
+        if (this.paginationMode !== 'infinite' || typeof IntersectionObserver === 'undefined') return;
+        if (!this.loadMoreObserver) {
+            this.loadMoreObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) this.loadMore();
+            }, { rootMargin: '200px' });
+        }
+        this.loadMoreObserver.disconnect();
+        const sentinel = this.tbody.querySelector('.load-more-row');
+        if (sentinel) this.loadMoreObserver.observe(sentinel);
+    }
+
+    // Appends the next page (the next slice of the filtered rows in client mode)
+    async loadMore() {
+        if (this.paginationMode !== 'infinite' || this.loadingMore || !this.hasMoreRows() || this.destroyed) return;
+
+        if (this.mode === 'client') {
+            const rows = this.getClientRows();
+            const added = rows.slice(this.data.length, this.data.length + this.perPage);
+            this.currentPage++;
+            this.data = this.data.concat(added);
+            this.appendRows(added);
+            this.emit('dataLoaded', this.data, this.totalRecords);
+            return;
+        }
+
+        this.loadingMore = true;
+        this.updateLoadMoreRow();
+        try {
+            await this.loadData({ append: true });
+        } finally {
+            this.loadingMore = false;
+            this.updateLoadMoreRow();
+        }
+    }
+
+    updateLoadMoreRow() {
+        const current = this.tbody.querySelector('.load-more-row');
+        const html = this.data.length ? this.renderLoadMoreRow() : '';
+        if (current) current.remove();
+        if (html) this.tbody.insertAdjacentHTML('beforeend', html);
+        this.observeLoadMore();
+    }
+
+    // Adds freshly loaded rows without rebuilding what is already on screen
+    appendRows(rows) {
+        if (this.virtualScroll || this.groupBy || this.data.length === rows.length) {
+            this.renderTable(); // windows and groups are recomputed as a whole
+            return;
+        }
+        const sentinel = this.tbody.querySelector('.load-more-row');
+        this.createRows(rows.map(row => this.renderRow(row)).join('')).forEach(tr => this.tbody.insertBefore(tr, sentinel));
+        if (this.enableCheckboxes) {
+            this.refreshSelectedRowData();
+            this.updateSelectAllCheckbox();
+        }
+        this.updateLoadMoreRow();
+        this.renderAggregates();
+        this.updateTableInfo();
+        this.replaceIcons();
+        if (this.keyboardNavigation) this.updateGridTabindex();
+        else this.updateEditableTabindex();
+    }
+
+    // Virtual Scroll Methods
+    getScrollContainer() {
+        if (this.scrollParent !== undefined) return this.scrollParent;
+        let el = typeof this.scrollContainer === 'string' ? document.querySelector(this.scrollContainer) : this.scrollContainer;
+        for (let node = this.table.parentElement; !el && node && node !== document.body; node = node.parentElement) {
+            const overflow = window.getComputedStyle(node).overflowY;
+            if (overflow === 'auto' || overflow === 'scroll') el = node;
+        }
+        this.scrollParent = el || null; // null: the page itself scrolls
+        return this.scrollParent;
+    }
+
+    // Rows of this.data that are in view, plus virtualBuffer on each side. The visible area is the
+    // part of the scroll container that is also inside the browser window.
+    getVirtualRange() {
+        const total = this.data.length;
+        const container = this.getScrollContainer();
+        const box = container ? container.getBoundingClientRect() : { top: 0, bottom: window.innerHeight };
+        const top = Math.max(box.top, 0);
+        const bottom = Math.min(box.bottom, window.innerHeight);
+        const bodyTop = this.tbody.getBoundingClientRect().top;
+
+        const visible = Math.ceil(Math.max(0, bottom - top) / this.rowHeight) + 1;
+        const first = Math.min(Math.floor(Math.max(0, top - bodyTop) / this.rowHeight), Math.max(0, total - visible));
+        return {
+            start: Math.max(0, first - this.virtualBuffer),
+            end: Math.min(total, first + visible + this.virtualBuffer)
+        };
+    }
+
+    // Spacer rows stand in for the rows outside the window, so the scrollbar keeps its full length
+    renderVirtualRows() {
+        const range = this.getVirtualRange();
+        this.virtualRange = range;
+        const colspan = this.getTotalColumns();
+        const spacer = (rows) => (rows > 0
+            ? `<tr class="virtual-spacer" aria-hidden="true"><td colspan="${colspan}" style="height:${rows * this.rowHeight}px"></td></tr>`
+            : '');
+        return spacer(range.start)
+            + this.data.slice(range.start, range.end).map(row => this.renderRow(row)).join('')
+            + spacer(this.data.length - range.end);
+    }
+
+    onVirtualScroll() {
+        if (this.scrollFrame) return;
+        const frame = window.requestAnimationFrame || ((fn) => setTimeout(fn, 16));
+        this.scrollFrame = frame(() => {
+            this.scrollFrame = null;
+            this.updateVirtualWindow();
+        });
+    }
+
+    // Swaps the rendered window when the visible range changed; keeps focus on the same cell
+    updateVirtualWindow() {
+        if (!this.virtualScroll || this.destroyed || !this.data.length || this.editingCell) return;
+        const range = this.getVirtualRange();
+        if (this.virtualRange && range.start === this.virtualRange.start && range.end === this.virtualRange.end) return;
+
+        const focused = document.activeElement && this.tbody.contains(document.activeElement) ? document.activeElement.closest('td') : null;
+        const focusedRow = focused && focused.parentNode.dataset.id;
+        const focusedCol = focused ? focused.cellIndex : 0;
+
+        this.closeMenu();
+        this.renderBody(this.renderVirtualRows() + this.renderLoadMoreRow());
+        this.observeLoadMore();
+        this.replaceIcons();
+        if (this.keyboardNavigation) this.updateGridTabindex();
+        else this.updateEditableTabindex();
+        if (focusedRow !== undefined && focusedRow !== null) {
+            const tr = Array.from(this.tbody.rows).find(r => r.dataset.id === focusedRow);
+            if (tr && tr.cells[focusedCol]) {
+                if (this.keyboardNavigation) this.setFocusedCell(tr.cells[focusedCol]);
+                tr.cells[focusedCol].focus({ preventScroll: true });
+            }
+        }
+    }
+
+    // The row height estimate is replaced by the real one after the first render
+    measureRowHeight() {
+        if (this.rowHeightMeasured) return;
+        const tr = this.tbody.querySelector('tr[data-id]');
+        if (!tr || !tr.offsetHeight) return;
+        this.rowHeightMeasured = true;
+        if (Math.abs(tr.offsetHeight - this.rowHeight) < 1) return;
+        this.rowHeight = tr.offsetHeight;
+        this.virtualRange = null;
+        this.updateVirtualWindow();
+    }
+
+    // Grouping Methods
+    getGroupValue(row) {
+        return typeof this.groupBy === 'function' ? this.groupBy(row) : row[this.groupBy];
+    }
+
+    // Groups in order of first appearance, so the server's sort order is kept (sort by the
+    // grouped column for one header per group)
+    getGroups(rows) {
+        const groups = new Map();
+        rows.forEach(row => {
+            const value = this.getGroupValue(row);
+            const key = value === null || value === undefined ? '' : String(value);
+            if (!groups.has(key)) groups.set(key, { key, value, rows: [] });
+            groups.get(key).rows.push(row);
+        });
+        return Array.from(groups.values());
+    }
+
+    renderGroupedRows() {
+        return this.getGroups(this.data).map(group => this.renderGroupRow(group) + group.rows.map(row => this.renderRow(row)).join('')).join('');
+    }
+
+    renderGroupRow(group) {
+        let label;
+        if (typeof this.groupLabel === 'function') {
+            label = this.groupLabel(group.value, group.rows);
+        } else {
+            const col = typeof this.groupBy === 'string' ? this.columns[this.getColumnIndex(this.groupBy)] : null;
+            const value = group.key === '' ? this.escapeHtml(this.t('emptyGroup')) : (col ? this.renderCellContent(col, group.rows[0]) : this.escapeHtml(group.key));
+            label = col && col.label ? `${this.escapeHtml(col.label)}: ${value}` : value;
+        }
+        const collapsed = this.collapsedGroups.has(group.key);
+        const count = group.rows.length;
+        return `
+            <tr class="group-row${collapsed ? ' collapsed' : ''}" data-group="${this.escapeHtml(group.key)}">
+                <td colspan="${this.getTotalColumns()}">
+                    <button type="button" class="btn btn-sm group-toggle" data-group-toggle aria-expanded="${!collapsed}" aria-label="${this.escapeHtml(this.t(collapsed ? 'expandGroup' : 'collapseGroup'))}"><i data-feather="chevron-down"></i></button>
+                    <span class="group-label">${label}</span>
+                    <span class="badge bg-secondary group-count">${this.escapeHtml(this.t('groupCount', { count }))}</span>
+                </td>
+            </tr>
+        `;
+    }
+
+    // Hides the rows (and their detail rows) under collapsed group headers
+    applyGroupCollapse() {
+        let hide = false;
+        Array.from(this.tbody.rows).forEach(tr => {
+            if (tr.classList.contains('group-row')) {
+                hide = this.collapsedGroups.has(tr.dataset.group);
+                return;
+            }
+            tr.hidden = hide;
+        });
+    }
+
+    toggleGroup(key, collapsed) {
+        key = key === null || key === undefined ? '' : String(key);
+        const collapse = collapsed === undefined ? !this.collapsedGroups.has(key) : !!collapsed;
+        if (collapse) {
+            this.collapsedGroups.add(key);
+        } else {
+            this.collapsedGroups.delete(key);
+        }
+        const header = Array.from(this.tbody.querySelectorAll('tr.group-row')).find(tr => tr.dataset.group === key);
+        if (header) {
+            header.classList.toggle('collapsed', collapse);
+            const button = header.querySelector('[data-group-toggle]');
+            button.setAttribute('aria-expanded', String(!collapse));
+            button.setAttribute('aria-label', this.t(collapse ? 'expandGroup' : 'collapseGroup'));
+        }
+        this.applyGroupCollapse();
+        if (this.keyboardNavigation) this.updateGridTabindex();
+        else this.updateEditableTabindex();
+    }
+
+    collapseAllGroups() {
+        this.tbody.querySelectorAll('tr.group-row').forEach(tr => this.toggleGroup(tr.dataset.group, true));
+    }
+
+    expandAllGroups() {
+        this.collapsedGroups.clear();
+        this.tbody.querySelectorAll('tr.group-row').forEach(tr => this.toggleGroup(tr.dataset.group, false));
+    }
+
+    // groupBy: a column key, (row) => value, or null to stop grouping
+    setGroupBy(groupBy) {
+        if (groupBy && this.virtualScroll) {
+            console.warn('[CustomDataTable] groupBy is not supported with virtualScroll; ignored.');
+            return;
+        }
+        this.groupBy = groupBy || null;
+        this.collapsedGroups.clear();
+        this.renderTable();
+    }
+
+    // Aggregate Methods
+    // { columnId: value } for every column with an `aggregate`; server-supplied aggregates win in
+    // server mode. Client mode always computes, since the server's totals ignore local search and filters.
+    getAggregates() {
+        const rows = this.aggregateScope === 'all' && this.mode === 'client' ? this.getClientRows() : this.data;
+        const server = this.mode === 'client' ? null : this.serverAggregates;
+        const result = {};
+        this.columns.forEach(col => {
+            if (!col.aggregate) return;
+            if (server && col._data && server[col._data] !== undefined) {
+                result[col._id] = server[col._data];
+            } else {
+                result[col._id] = this.computeAggregate(col, rows);
+            }
+        });
+        return result;
+    }
+
+    // aggregate: 'sum', 'avg', 'min', 'max', 'count' (non-empty values) or (values, rows) => value
+    computeAggregate(col, rows) {
+        const values = rows.map(row => (col._data ? row[col._data] : undefined));
+        if (typeof col.aggregate === 'function') return col.aggregate(values, rows);
+
+        const present = values.filter(v => v !== null && v !== undefined && v !== '');
+        if (col.aggregate === 'count') return present.length;
+        const numbers = present.map(v => parseFloat(v)).filter(n => !isNaN(n));
+        if (!numbers.length) return null;
+        switch (col.aggregate) {
+            case 'sum': return numbers.reduce((a, b) => a + b, 0);
+            case 'avg': return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+            case 'min': return Math.min(...numbers);
+            case 'max': return Math.max(...numbers);
+            default:
+                console.warn(`[CustomDataTable] Unknown aggregate "${col.aggregate}" on column "${col._id}"`);
+                return null;
+        }
+    }
+
+    formatAggregate(col, value) {
+        if (typeof col.aggregateRender === 'function') return col.aggregateRender(value, col);
+        if (value === null || value === undefined) return '';
+        // totals of money/number columns look like the column; counts stay plain numbers
+        if (typeof value === 'number' && col.aggregate !== 'count' && ['number', 'currency', 'percent'].includes(col.type)) {
+            return this.formatTypedValue(col, value, null);
+        }
+        if (typeof value === 'number') return this.escapeHtml(value.toLocaleString(undefined, { maximumFractionDigits: 2 }));
+        return this.escapeHtml(String(value));
+    }
+
+    // One summary row in <tfoot>, aligned with the visible columns; any other tfoot rows are left alone
+    renderAggregates() {
+        const visible = this.getVisibleColumns();
+        if (!this.columns.some(col => col.aggregate)) return;
+
+        if (!this.aggregateRow) {
+            let tfoot = this.table.tFoot;
+            if (!tfoot) {
+                tfoot = this.table.createTFoot();
+                this.ownsFooter = true;
+            }
+            this.aggregateRow = document.createElement('tr');
+            this.aggregateRow.className = 'aggregate-row';
+            tfoot.appendChild(this.aggregateRow);
+        }
+
+        const aggregates = this.getAggregates();
+        const firstDataColumn = visible.find(col => !col.utility);
+        const cells = visible.map(col => {
+            const align = this.getColumnAlign(col);
+            const classes = [col.sticky ? 'sticky-col' : '', align ? `text-${align}` : ''].filter(Boolean).join(' ');
+            const stickyClass = classes ? ` class="${classes}"` : '';
+            if (col.aggregate) return `<td${stickyClass} data-column-id="${this.escapeHtml(col._id)}" data-aggregate="${this.escapeHtml(typeof col.aggregate === 'string' ? col.aggregate : 'custom')}">${this.formatAggregate(col, aggregates[col._id])}</td>`;
+            const text = this.aggregateLabel !== null ? this.aggregateLabel : this.t('total');
+            const label = col === firstDataColumn && text ? `<span class="aggregate-label">${this.escapeHtml(text)}</span>` : '';
+            return `<td${stickyClass}>${label}</td>`;
+        });
+        if (this.actions && this.actions.length) cells.push('<td class="actions-col"></td>');
+        this.aggregateRow.innerHTML = cells.join('');
+        this.aggregateRow.hidden = !this.data.length && !(this.mode === 'server' && this.serverAggregates);
+    }
+
+    // Column Layout Methods
+    // Header cells are matched to columns by data-column, falling back to position when the header
+    // has exactly one cell per column (+ actions). Matched cells get data-column-id.
+    setupColumnHeaders() {
+        this.headerRow = Array.from(this.table.querySelectorAll('thead tr')).find(tr => !tr.classList.contains('column-filter-row')) || null;
+        if (!this.headerRow) return;
+
+        const cells = Array.from(this.headerRow.children);
+        const extra = this.actions && this.actions.length ? 1 : 0;
+        // the expander header is optional in the markup; it is created below when missing
+        let columns = this.columns;
+        if (this.expanderColumn && cells.length !== columns.length + extra && !cells.some(th => th.dataset.column === '_expand')) {
+            columns = columns.filter(col => col !== this.expanderColumn);
+        }
+        const positional = cells.length === columns.length + extra;
+        const claimed = new Map(); // column id -> th
+        cells.forEach((th, index) => {
+            let col = th.dataset.column ? this.columns[this.getColumnIndex(th.dataset.column)] : null;
+            if (!col && positional && index < columns.length) col = columns[index];
+            if (!col || claimed.has(col._id)) return;
+            claimed.set(col._id, th);
+            th.dataset.columnId = col._id;
+        });
+
+        // An untagged header can't follow its column when it is hidden, moved or resized, and the
+        // header and body would drift apart, so the layout stays as the markup has it
+        const untagged = this.columns.filter(col => !col.utility && !claimed.has(col._id));
+        if (untagged.length) {
+            this.columnLayoutLocked = true;
+            this.columnOrder = this.columns.filter(col => !col.utility).map(col => col._id);
+            this.hiddenColumns = new Set();
+            this.columnWidths = {};
+            console.warn(`[CustomDataTable] No header cell found for column(s) ${untagged.map(col => col._data || col._id).join(', ')}. ` +
+                'Add data-column to the <th> elements; hiding, reordering and resizing columns is disabled until then.');
+        }
+
+        claimed.forEach((th, id) => {
+            const col = this.getColumnById(id);
+            if (!col || col.utility) return;
+            const align = this.getColumnAlign(col);
+            if (align) this.toggleDomClass(th, `text-${align}`, true);
+            if (this.columnLayoutLocked) return;
+
+            if (this.reorderableColumns) this.setDomAttribute(th, 'draggable', 'true');
+            if (this.resizableColumns && col.resizable !== false) {
+                const handle = document.createElement('span');
+                handle.className = 'column-resizer';
+                handle.setAttribute('aria-hidden', 'true');
+                th.appendChild(handle);
+            }
+        });
+
+        if (this.expanderColumn && !claimed.has('_expand')) {
+            const th = document.createElement('th');
+            th.className = 'detail-toggle-col';
+            th.dataset.columnId = '_expand';
+            th.setAttribute('aria-label', this.t('details'));
+            const checkbox = claimed.get('_select'); // the expander comes right after the checkbox column
+            this.headerRow.insertBefore(th, checkbox ? checkbox.nextSibling : this.headerRow.firstChild);
+            this.ownsExpanderHeader = th;
+        }
+    }
+
+    getOrderedColumns() {
+        const ordered = this.columnOrder.map(id => this.getColumnById(id)).filter(Boolean);
+        const fixed = [this.enableCheckboxes && this.checkboxColumn, this.expanderColumn].filter(Boolean);
+        return fixed.concat(ordered);
+    }
+
+    getVisibleColumns() {
+        return this.getOrderedColumns().filter(col => !this.hiddenColumns.has(col._id));
+    }
+
+    getColumnById(id) {
+        return this.columns.find(col => col._id === id) || null;
+    }
+
+    // Column id for a key or id; columns without a key are addressed as column_<index>
+    resolveColumnId(column) {
+        const col = this.getColumnById(column) || this.columns[this.getColumnIndex(column)];
+        return col ? col._id : null;
+    }
+
+    // Reorders, hides and sizes the header and filter cells to match the layout
+    applyColumnLayout() {
+        if (this.columnLayoutLocked) return;
+        [this.headerRow, this.filterRow].forEach(row => {
+            if (!row) return;
+            const cells = Array.from(row.children);
+            const byId = {};
+            cells.forEach(cell => {
+                if (cell.dataset.columnId) byId[cell.dataset.columnId] = cell;
+            });
+            // cells after the last column cell (the actions header) stay at the end
+            const lastColumnCell = cells.reduce((last, cell, index) => (cell.dataset.columnId ? index : last), -1);
+            const trailing = cells.slice(lastColumnCell + 1);
+
+            this.getOrderedColumns().forEach(col => {
+                const cell = byId[col._id];
+                if (!cell) return;
+                row.appendChild(cell);
+                cell.style.display = this.hiddenColumns.has(col._id) ? 'none' : '';
+                const width = this.columnWidths[col._id];
+                cell.style.width = cell.style.minWidth = cell.style.maxWidth = width ? `${width}px` : '';
+            });
+            trailing.forEach(cell => row.appendChild(cell));
+        });
+    }
+
+    renderColumnChooser() {
+        if (!this.columnChooser || this.columnLayoutLocked) return;
+
+        if (!this.columnChooserEl) {
+            this.columnChooserEl = this.container && this.container.querySelector('[data-table-column-chooser]');
+            if (!this.columnChooserEl) {
+                // Lazily create the chooser just above the table unless the page supplied a slot
+                this.columnChooserEl = document.createElement('div');
+                this.columnChooserEl.className = 'table-column-chooser';
+                this.table.parentNode.insertBefore(this.columnChooserEl, this.table);
+                this.ownsColumnChooser = true;
+            }
+        }
+
+        const items = this.getOrderedColumns().filter(col => !col.utility).map(col => {
+            const id = this.escapeHtml(col._id);
+            const checked = this.hiddenColumns.has(col._id) ? '' : ' checked';
+            const disabled = col.hideable === false ? ' disabled' : '';
+            return `<label class="dropdown-item"><input type="checkbox" class="form-check-input" data-column-toggle="${id}"${checked}${disabled} /> ${this.escapeHtml(col.label || col._data || '')}</label>`;
+        }).join('');
+
+        this.columnChooserEl.innerHTML =
+            `<button type="button" class="btn btn-sm btn-outline-secondary" data-column-chooser-toggle aria-haspopup="true" aria-expanded="false"><i data-feather="columns"></i> ${this.escapeHtml(this.t('columns'))}</button>` +
+            `<div class="dropdown-menu table-column-menu">${items}<div class="dropdown-divider"></div>` +
+            `<button type="button" class="dropdown-item" data-column-reset>${this.escapeHtml(this.t('resetColumns'))}</button></div>`;
+        if (typeof feather !== 'undefined') feather.replace();
+    }
+
+    // Re-renders everything that depends on the layout, then persists it
+    columnLayoutChanged() {
+        this.applyColumnLayout();
+        if (this.columnChooserEl) {
+            this.columnChooserEl.querySelectorAll('[data-column-toggle]').forEach(checkbox => {
+                checkbox.checked = !this.hiddenColumns.has(checkbox.dataset.columnToggle);
+            });
+        }
+        // while a request is in flight the spinner stays; the response renders with the new layout
+        if (!this.abortController) this.renderTable();
+        this.saveState();
+        this.emit('columnsChange', this.getColumnLayout());
+    }
+
+    showColumn(column) {
+        this.toggleColumn(column, true);
+    }
+
+    hideColumn(column) {
+        this.toggleColumn(column, false);
+    }
+
+    toggleColumn(column, visible) {
+        if (this.columnLayoutLocked) return;
+        const id = this.resolveColumnId(column);
+        if (!id || this.getColumnById(id).utility) return;
+        const show = visible === undefined ? this.hiddenColumns.has(id) : !!visible;
+        if (!show && this.getColumnById(id).hideable === false) return;
+        if (show === !this.hiddenColumns.has(id)) return;
+        if (show) {
+            this.hiddenColumns.delete(id);
+        } else {
+            this.hiddenColumns.add(id);
+        }
+        this.columnLayoutChanged();
+    }
+
+    // Moves a column to `index` in the column order (the checkbox column is not counted)
+    moveColumn(column, index) {
+        if (this.columnLayoutLocked) return;
+        const id = this.resolveColumnId(column);
+        const from = this.columnOrder.indexOf(id);
+        if (from === -1) return;
+        const to = Math.max(0, Math.min(this.columnOrder.length - 1, parseInt(index) || 0));
+        if (to === from) return;
+        this.columnOrder.splice(from, 1);
+        this.columnOrder.splice(to, 0, id);
+        this.columnLayoutChanged();
+    }
+
+    // Width in px, or null to go back to the natural width
+    setColumnWidth(column, width) {
+        if (this.columnLayoutLocked) return;
+        const id = this.resolveColumnId(column);
+        if (!id) return;
+        if (width === null || width === undefined) {
+            delete this.columnWidths[id];
+        } else {
+            this.columnWidths[id] = Math.max(this.minColumnWidth, Math.round(width));
+        }
+        this.columnLayoutChanged();
+    }
+
+    getColumnLayout() {
+        return {
+            order: this.columnOrder.slice(),
+            hidden: Array.from(this.hiddenColumns),
+            widths: Object.assign({}, this.columnWidths)
+        };
+    }
+
+    // Accepts the shape returned by getColumnLayout(); unknown columns are ignored and columns
+    // missing from `order` (e.g. added since the layout was saved) keep their place at the end
+    setColumnLayout(layout = {}, options = {}) {
+        if (this.columnLayoutLocked) return;
+        const known = this.columns.filter(col => !col.utility).map(col => col._id);
+        if (Array.isArray(layout.order)) {
+            const order = layout.order.filter((id, i) => known.includes(id) && layout.order.indexOf(id) === i);
+            this.columnOrder = order.concat(known.filter(id => !order.includes(id)));
+        }
+        if (Array.isArray(layout.hidden)) {
+            this.hiddenColumns = new Set(layout.hidden.filter(id => known.includes(id)));
+        }
+        if (layout.widths && typeof layout.widths === 'object') {
+            this.columnWidths = {};
+            Object.keys(layout.widths).forEach(id => {
+                const width = parseInt(layout.widths[id]);
+                if (known.includes(id) && width > 0) this.columnWidths[id] = width;
+            });
+        }
+        if (options.render !== false) this.columnLayoutChanged();
+    }
+
+    resetColumnLayout() {
+        this.setColumnLayout({
+            order: this.columns.map(col => col._id),
+            hidden: this.columns.filter(col => col.hidden).map(col => col._id),
+            widths: {}
+        });
+    }
+
+    restoreColumnLayout() {
+        try {
+            const saved = localStorage.getItem(`${this.stateKey}_columns`);
+            if (saved) this.setColumnLayout(JSON.parse(saved), { render: false });
+        } catch (e) {
+            console.warn('Failed to restore column layout:', e);
+            localStorage.removeItem(`${this.stateKey}_columns`);
+        }
+    }
+
+    // Drag & drop reordering of header cells
+    onColumnDragStart(e) {
+        const th = e.target.closest && e.target.closest('th[data-column-id][draggable="true"]');
+        if (!th || this.resizeState) return;
+        this.dragColumn = th.dataset.columnId;
+        th.classList.add('column-dragging');
+        if (e.dataTransfer) {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.dragColumn); // Firefox will not start a drag without data
+        }
+    }
+
+    onColumnDragOver(e) {
+        const th = this.dragColumn && e.target.closest('th[data-column-id]');
+        if (!th || th.dataset.columnId === '_select' || th.dataset.columnId === '_expand') return;
+        e.preventDefault();
+        const after = this.isDropAfter(th, e);
+        this.headerRow.querySelectorAll('.column-drop-before, .column-drop-after').forEach(cell => cell.classList.remove('column-drop-before', 'column-drop-after'));
+        if (th.dataset.columnId !== this.dragColumn) th.classList.add(after ? 'column-drop-after' : 'column-drop-before');
+    }
+
+    onColumnDrop(e) {
+        const th = this.dragColumn && e.target.closest('th[data-column-id]');
+        if (!th || th.dataset.columnId === '_select' || th.dataset.columnId === '_expand') return;
+        e.preventDefault();
+        const source = this.dragColumn;
+        const target = th.dataset.columnId;
+        const after = this.isDropAfter(th, e);
+        this.onColumnDragEnd();
+        if (source === target) return;
+
+        const order = this.columnOrder.filter(id => id !== source);
+        const index = order.indexOf(target) + (after ? 1 : 0);
+        this.moveColumn(source, index);
+    }
+
+    onColumnDragEnd() {
+        this.dragColumn = null;
+        if (!this.headerRow) return;
+        this.headerRow.querySelectorAll('.column-dragging, .column-drop-before, .column-drop-after')
+            .forEach(cell => cell.classList.remove('column-dragging', 'column-drop-before', 'column-drop-after'));
+    }
+
+    isDropAfter(th, e) {
+        const rect = th.getBoundingClientRect();
+        return e.clientX > rect.left + rect.width / 2;
+    }
+
+    // Resizing by dragging the handle on a header's right edge. Widths are applied live and saved on release.
+    onColumnResizeStart(e) {
+        const handle = e.target.closest('.column-resizer');
+        if (!handle || e.button !== 0) return;
+        e.preventDefault(); // no text selection, and no column drag
+        const th = handle.parentNode;
+        this.resizeState = {
+            id: th.dataset.columnId,
+            th,
+            startX: e.clientX,
+            startWidth: th.offsetWidth,
+            move: (ev) => this.onColumnResize(ev),
+            up: () => this.endColumnResize(true)
+        };
+        th.classList.add('column-resizing');
+        document.addEventListener('mousemove', this.resizeState.move);
+        document.addEventListener('mouseup', this.resizeState.up);
+    }
+
+    onColumnResize(e) {
+        const state = this.resizeState;
+        if (!state) return;
+        const width = Math.max(this.minColumnWidth, Math.round(state.startWidth + e.clientX - state.startX));
+        this.columnWidths[state.id] = width;
+
+        // update the cells in place; a full re-render on every mousemove would be far too slow
+        const px = `${width}px`;
+        state.th.style.width = state.th.style.minWidth = state.th.style.maxWidth = px;
+        const position = this.getVisibleColumns().findIndex(col => col._id === state.id) + 1;
+        if (!position) return;
+        this.tbody.querySelectorAll(`tr > td:nth-child(${position}):not([colspan])`).forEach(td => {
+            td.style.width = td.style.maxWidth = px;
+        });
+        const filterCell = this.filterRow && this.filterRow.querySelector(`th:nth-child(${position})`);
+        if (filterCell) filterCell.style.width = filterCell.style.minWidth = filterCell.style.maxWidth = px;
+    }
+
+    endColumnResize(save = false) {
+        const state = this.resizeState;
+        if (!state) return;
+        document.removeEventListener('mousemove', state.move);
+        document.removeEventListener('mouseup', state.up);
+        state.th.classList.remove('column-resizing');
+        this.resizeState = null;
+        if (!save) return;
+        this.suppressHeaderClick = true;
+        setTimeout(() => { this.suppressHeaderClick = false; }, 0);
+        this.saveState();
+        this.emit('columnsChange', this.getColumnLayout());
+    }
+
+    filterData() {
+        this.currentPage = 1;
+        // "All matching" was scoped to the previous query; it cannot carry over to a new one
+        if (this.selectAllMatching) this.clearSelection();
+        this.saveState();
+        this.loadData(); // Reload from server with new search term
+    }
+
+    // Column Filter Methods
+    // A filter definition is a type string or { type, options, optionsUrl, placeholder }.
+    // Types: 'text', 'select', 'range' (numeric min/max), 'daterange' (from/to), 'boolean'.
+    getColumnFilterDef(col) {
+        if (!this.enableColumnFilters || !col._data || col.utility) return null;
+        let def = this.columnFilters[col._data] !== undefined ? this.columnFilters[col._data] : col.filter;
+        if (def === undefined || def === true) def = col.filterable === false ? false : 'text';
+        if (!def) return null;
+        return typeof def === 'string' ? { type: def } : Object.assign({ type: 'text' }, def);
+    }
+
+    renderFilterRow() {
+        if (!this.enableColumnFilters) return;
+
+        const thead = this.table.querySelector('thead') || this.table.createTHead();
+        this.filterRow = document.createElement('tr');
+        this.filterRow.className = 'column-filter-row';
+
+        // One cell per column (hidden ones too); applyColumnLayout() orders and hides them like the headers
+        const cells = this.columns.map(col => {
+            const stickyClass = col.sticky ? ' class="sticky-col"' : '';
+            const def = this.getColumnFilterDef(col);
+            return `<th${stickyClass} data-column-id="${this.escapeHtml(col._id)}">${def ? this.renderFilterControl(col._data, def) : ''}</th>`;
+        });
+        if (this.actions && this.actions.length) cells.push('<th class="actions-col"></th>');
+        this.filterRow.innerHTML = cells.join('');
+        thead.appendChild(this.filterRow);
+
+        // Remote select options are fetched once; the saved value is re-applied when they arrive
+        this.columns.forEach(col => {
+            const def = this.getColumnFilterDef(col);
+            if (def && def.type === 'select' && def.optionsUrl) this.loadFilterOptions(col._data, def);
+        });
+
+        // Text and range inputs are debounced like the global search; selects apply immediately
+        this.listen(this.filterRow, 'input', (e) => {
+            if (!e.target.matches('input[data-filter-column]')) return;
+            const column = e.target.dataset.filterColumn;
+            clearTimeout(this.filterDebounce.get(column));
+            this.filterDebounce.set(column, setTimeout(() => {
+                this.filterDebounce.delete(column);
+                this.applyFilterInput(column);
+            }, this.searchDebounceDelay));
+        });
+        this.listen(this.filterRow, 'change', (e) => {
+            if (!e.target.matches('select[data-filter-column]')) return;
+            this.applyFilterInput(e.target.dataset.filterColumn);
+        });
+
+        this.syncFilterInputs();
+    }
+
+    renderFilterControl(column, def) {
+        const col = this.escapeHtml(column);
+        const placeholder = this.escapeHtml(def.placeholder || '');
+
+        switch (def.type) {
+            case 'select': {
+                const options = this.normalizeFilterOptions(def.options || []);
+                return `<select class="form-select form-select-sm" data-filter-column="${col}">${this.renderFilterOptions(options, def)}</select>`;
+            }
+            case 'boolean': {
+                const options = [
+                    { value: '1', label: def.trueLabel || this.t('yes') },
+                    { value: '0', label: def.falseLabel || this.t('no') }
+                ];
+                return `<select class="form-select form-select-sm" data-filter-column="${col}">${this.renderFilterOptions(options, def)}</select>`;
+            }
+            case 'range':
+                return `<div class="column-filter-range">
+                    <input type="number" class="form-control form-control-sm" data-filter-column="${col}" data-filter-part="min" placeholder="${this.escapeHtml(this.t('filterMin'))}" step="any" />
+                    <input type="number" class="form-control form-control-sm" data-filter-column="${col}" data-filter-part="max" placeholder="${this.escapeHtml(this.t('filterMax'))}" step="any" />
+                </div>`;
+            case 'daterange':
+                return `<div class="column-filter-range">
+                    <input type="date" class="form-control form-control-sm" data-filter-column="${col}" data-filter-part="from" title="${this.escapeHtml(this.t('filterFrom'))}" />
+                    <input type="date" class="form-control form-control-sm" data-filter-column="${col}" data-filter-part="to" title="${this.escapeHtml(this.t('filterTo'))}" />
+                </div>`;
+            default:
+                return `<input type="search" class="form-control form-control-sm" data-filter-column="${col}" placeholder="${placeholder || this.escapeHtml(this.t('filterPlaceholder'))}" />`;
+        }
+    }
+
+    renderFilterOptions(options, def) {
+        const all = `<option value="">${this.escapeHtml(def.placeholder || this.t('filterAll'))}</option>`;
+        return all + options.map(o => `<option value="${this.escapeHtml(o.value)}">${this.escapeHtml(o.label)}</option>`).join('');
+    }
+
+    // Accepts ['a', 'b'], [{ value, label }] or { value: label }
+    normalizeFilterOptions(options) {
+        if (Array.isArray(options)) {
+            return options.map(o => (o !== null && typeof o === 'object')
+                ? { value: String(o.value !== undefined ? o.value : o.id), label: String(o.label !== undefined ? o.label : (o.name !== undefined ? o.name : o.value)) }
+                : { value: String(o), label: String(o) });
+        }
+        return Object.keys(options || {}).map(k => ({ value: k, label: String(options[k]) }));
+    }
+
+    async loadFilterOptions(column, def) {
+        try {
+            const response = await fetch(def.optionsUrl, { headers: { 'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json' } });
+            if (!response.ok) throw await this.createResponseError(response);
+            const result = await response.json();
+            const options = this.normalizeFilterOptions(Array.isArray(result) ? result : (result && (result.data || result.options)) || []);
+
+            const select = this.filterRow && this.filterRow.querySelector(`select[data-filter-column="${this.cssEscape(column)}"]`);
+            if (!select) return;
+            select.innerHTML = this.renderFilterOptions(options, def);
+            select.value = this.filters[column] !== undefined ? String(this.filters[column]) : '';
+        } catch (e) {
+            console.warn(`Failed to load filter options for "${column}":`, e);
+        }
+    }
+
+    applyFilterInput(column) {
+        const inputs = this.filterRow ? this.filterRow.querySelectorAll(`[data-filter-column="${this.cssEscape(column)}"]`) : [];
+        let value;
+        if (inputs.length > 1 || (inputs[0] && inputs[0].dataset.filterPart)) {
+            value = {};
+            inputs.forEach(input => {
+                if (input.value !== '') value[input.dataset.filterPart] = input.value;
+            });
+        } else {
+            value = inputs[0] ? inputs[0].value : '';
+        }
+        this.setFilterValue(column, value);
+        this.filterData();
+    }
+
+    // Empty strings and empty ranges remove the filter rather than sending blanks to the server
+    setFilterValue(column, value) {
+        const isEmpty = value === null || value === undefined || value === '' ||
+            (typeof value === 'object' && !Object.keys(value).some(k => value[k] !== '' && value[k] !== null && value[k] !== undefined));
+        if (isEmpty) {
+            delete this.filters[column];
+        } else {
+            this.filters[column] = value;
+        }
+    }
+
+    syncFilterInputs() {
+        if (!this.filterRow) return;
+        this.filterRow.querySelectorAll('[data-filter-column]').forEach(input => {
+            const value = this.filters[input.dataset.filterColumn];
+            if (input.dataset.filterPart) {
+                input.value = value && value[input.dataset.filterPart] !== undefined ? value[input.dataset.filterPart] : '';
+            } else {
+                input.value = value !== undefined ? String(value) : '';
+            }
+        });
+    }
+
+    // DataTables carries one string per column; ranges are sent as "min|max" / "from|to"
+    encodeFilterValue(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') {
+            const low = value.min !== undefined ? value.min : (value.from !== undefined ? value.from : '');
+            const high = value.max !== undefined ? value.max : (value.to !== undefined ? value.to : '');
+            return `${low}|${high}`;
+        }
+        return String(value);
+    }
+
+    getFilters() {
+        return {
+            search: this.searchTerm,
+            filters: JSON.parse(JSON.stringify(this.filters)),
+            sort: { column: this.sortColumn, direction: this.sortDirection },
+            sorts: this.getSort(),
+            pagination: { page: this.currentPage, perPage: this.perPage }
+        };
+    }
+
+    // Accepts the shape returned by getFilters(); `filterParams` is accepted as an alias of `filters`.
+    // Column filters are merged, so passing null/'' for a column clears just that column.
+    setFilters(state = {}) {
+        if (state.search !== undefined && state.search !== null) {
+            this.searchTerm = String(state.search);
+            if (this.searchInput) this.searchInput.value = this.searchTerm;
+        }
+
+        const filters = state.filters || state.filterParams;
+        if (filters) {
+            Object.keys(filters).forEach(column => this.setFilterValue(column, filters[column]));
+            this.syncFilterInputs();
+        }
+
+        // `sorts` (the full list) wins over `sort` (primary column only)
+        if (Array.isArray(state.sorts)) {
+            this.sortList = this.normalizeSortList(state.sorts);
+            this.updateSortIndicators();
+        } else if (state.sort && state.sort.column !== undefined) {
+            this.sortList = this.normalizeSortList(state.sort.column, state.sort.direction);
+            this.updateSortIndicators();
+        }
+
+        const pagination = state.pagination || {};
+        const perPage = parseInt(state.perPage || pagination.perPage);
+        if (perPage > 0) {
+            this.perPage = perPage;
+            if (this.perPageSelect) this.perPageSelect.value = this.perPage;
+        }
+
+        if (this.selectAllMatching) this.clearSelection();
+        this.currentPage = parseInt(state.page || pagination.page) || 1;
+        this.saveState();
+        this.loadData();
+    }
+
+    clearAllFilters() {
+        this.searchTerm = '';
+        if (this.searchInput) this.searchInput.value = '';
+        this.filters = {};
+        this.syncFilterInputs();
+        this.filterData();
+    }
+
+    // Clears only the search (the empty-search state's "Clear search" button); column filters stay
+    clearSearch() {
+        if (this.searchInput) this.searchInput.value = '';
+        clearTimeout(this.searchDebounce);
+        this.searchPending = false;
+        this.hideSuggestions();
+        if (!this.searchTerm) return;
+        this.searchTerm = '';
+        this.filterData();
+        if (this.searchInput) this.searchInput.focus();
+    }
+    
+    // Search Query Methods
+    // The search box understands a small syntax: words, "exact phrases" and field terms such as
+    // category:fish, price>100, qty<=5, status!=void or name:"fish fillet". Field names are column
+    // keys or labels (case-insensitive, without spaces); a name that isn't a searchable column, or
+    // searchSyntax: false, leaves the text as plain words. Casing is kept as typed. Inside quotes,
+    // \" is a literal quote (see quoteSearchValue()).
+    // Returns { terms, phrases, fields: [{ field, operator, value, raw }] }.
+    parseSearchQuery(input = this.searchTerm) {
+        const query = { terms: [], phrases: [], fields: [] };
+        const text = String(input || '').trim();
+        if (!text) return query;
+        if (!this.searchSyntax) {
+            query.terms.push(text);
+            return query;
+        }
+        const pattern = /([^\s:<>=!"]+)(:|!=|>=|<=|=|>|<)("((?:[^"\\]|\\.)*)"|[^\s"]*)|"((?:[^"\\]|\\.)*)"|(\S+)/g;
+        const unescape = (quoted) => quoted.replace(/\\(.)/g, '$1');
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match[1] !== undefined) {
+                const col = this.getSearchColumn(match[1]);
+                const value = match[4] !== undefined ? unescape(match[4]) : match[3];
+                if (col && value !== '') {
+                    query.fields.push({ field: col._data, operator: match[2], value, raw: match[0] });
+                } else if (!col) {
+                    query.terms.push(match[0]);
+                }
+            } else if (match[5] !== undefined) {
+                const phrase = unescape(match[5]).trim();
+                if (phrase) query.phrases.push(phrase);
+            } else {
+                query.terms.push(match[6]);
+            }
+        }
+        return query;
+    }
+
+    // A value as it has to be typed to come back from parseSearchQuery() as one piece
+    quoteSearchValue(value) {
+        return /[\s"\\]/.test(value) ? `"${value.replace(/["\\]/g, '\\$&')}"` : value;
+    }
+
+    getSearchColumn(name) {
+        const key = String(name).toLowerCase();
+        return this.columns.find(col => col._data && !col.utility && col.searchable !== false &&
+            (col._data.toLowerCase() === key || String(col.label || '').replace(/\s+/g, '').toLowerCase() === key)) || null;
+    }
+
+    // The free text of the search (words and phrases, without quotes or field terms): the `search` param
+    getSearchText(query = this.parseSearchQuery()) {
+        return query.terms.concat(query.phrases).join(' ');
+    }
+
+    // Only searches that use the syntax send `search_query`, so plain searches look as they always did
+    hasSearchSyntax(query) {
+        return query.phrases.length > 0 || query.fields.length > 0;
+    }
+
+    // ':' contains (case-insensitive); the others compare by the column's type, as sorting does
+    matchesSearchField(value, term) {
+        const empty = value === null || value === undefined || value === '';
+        if (term.operator === ':') return !empty && String(value).toLowerCase().includes(term.value.toLowerCase());
+        if (empty) return term.operator === '!=';
+        const result = this.compareValues(value, term.value, this.columns[this.getColumnIndex(term.field)]);
+        switch (term.operator) {
+            case '=': return result === 0;
+            case '!=': return result !== 0;
+            case '>': return result > 0;
+            case '>=': return result >= 0;
+            case '<': return result < 0;
+            default: return result <= 0;
+        }
+    }
+
+    // Suggestions complete what is being typed: the value of a trailing `field:` term, else the free
+    // text. They come from suggestionsUrl when set, otherwise from the rows already loaded (the
+    // whole dataset in client mode). Picking one replaces that part of the search and keeps the rest.
+    async showSuggestions() {
+        const text = String(this.searchTerm || '');
+        const active = this.searchSyntax ? /(?:^|\s)([^\s:<>=!"]+):"?([^"\s]*)$/.exec(text) : null;
+        const fieldColumn = active ? this.getSearchColumn(active[1]) : null;
+        const query = this.parseSearchQuery(fieldColumn ? text.slice(0, text.length - active[0].length) : text);
+        const needle = fieldColumn ? active[2] : this.getSearchText(query);
+        const request = ++this.suggestionRequest;
+        if (!this.searchSuggestions || needle.length < this.suggestionMinLength) {
+            this.hideSuggestions();
+            return;
+        }
+
+        let suggestions;
+        try {
+            suggestions = this.suggestionsUrl
+                ? await this.fetchSuggestions(needle, fieldColumn)
+                : this.findSuggestions(needle, fieldColumn);
+        } catch (error) {
+            if (!(error && error.name === 'AbortError')) console.warn('[CustomDataTable] Loading suggestions failed:', error);
+            return;
+        }
+        if (request !== this.suggestionRequest || this.destroyed) return; // the user typed on
+
+        // what the search box becomes when a suggestion is picked
+        const complete = (value) => {
+            if (fieldColumn) return text.slice(0, text.length - active[0].length) + active[0].match(/^\s*/)[0] + `${active[1]}:${this.quoteSearchValue(value)}`;
+            return query.fields.map(term => term.raw).concat(this.quoteSearchValue(value)).join(' ');
+        };
+        
+        if (suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+        
+        // Render suggestions (clicks are delegated, see setupEventListeners)
+        const terms = needle.split(/\s+/);
+        this.searchSuggestions.innerHTML = suggestions.map((s, index) => {
+            const highlighted = this.highlightMatch(s.value, terms);
+            return `
+                <div class="suggestion-item" id="${this.tableId}-suggestion-${index}" role="option" aria-selected="false" data-value="${this.escapeHtml(complete(s.value))}">
+                    <div class="suggestion-label">${this.escapeHtml(s.label || '')}</div>
+                    <div class="suggestion-text">${highlighted}</div>
+                </div>
+            `;
+        }).join('');
+        
+        this.activeSuggestion = -1;
+        this.searchSuggestions.classList.add('active');
+        if (this.searchInput) {
+            this.searchInput.setAttribute('aria-expanded', 'true');
+            this.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    // Distinct values containing `needle`, from one column (field terms) or any searchable one
+    findSuggestions(needle, fieldColumn) {
+        const lower = needle.toLowerCase();
+        const columns = fieldColumn ? [fieldColumn] : this.columns.filter(col => col._data && !col.utility && col.searchable !== false);
+        const rows = this.mode === 'client' ? this.allData : this.data;
+        const seen = new Set();
+        const suggestions = [];
+        for (const row of rows) {
+            if (suggestions.length >= this.maxSuggestions) break;
+            for (const col of columns) {
+                const value = row[col._data];
+                if (value === null || value === undefined || value === '' || typeof value === 'object') continue;
+                const text = String(value);
+                if (!text.toLowerCase().includes(lower) || seen.has(text)) continue;
+                seen.add(text);
+                suggestions.push({ label: col.label || col._data, value: text });
+                break;
+            }
+        }
+        return suggestions;
+    }
+
+    // GET suggestionsUrl?search=...&limit=...(&field=column). The answer may be an array (or { data })
+    // of strings or of { value, label } objects. suggestionsUrl may also be (needle, field, table) => url.
+    async fetchSuggestions(needle, fieldColumn) {
+        if (this.suggestionController) this.suggestionController.abort();
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        this.suggestionController = controller;
+        const field = fieldColumn ? fieldColumn._data : null;
+
+        let url = typeof this.suggestionsUrl === 'function' ? this.suggestionsUrl(needle, field, this) : this.suggestionsUrl;
+        const qs = new URLSearchParams({ search: needle, limit: this.maxSuggestions });
+        if (field) qs.set('field', field);
+        url += (url.includes('?') ? '&' : '?') + qs.toString();
+
+        const response = await fetch(url, { headers: this.buildHeaders(), signal: controller ? controller.signal : undefined });
+        if (!response.ok) throw await this.createResponseError(response);
+        const json = await response.json();
+        if (this.suggestionController === controller) this.suggestionController = null;
+
+        const items = Array.isArray(json) ? json : ((json && json.data) || []);
+        const fallback = fieldColumn ? (fieldColumn.label || fieldColumn._data) : '';
+        return items
+            .map(item => (item !== null && typeof item === 'object')
+                ? { value: item.value === null || item.value === undefined ? '' : String(item.value), label: item.label || fallback }
+                : { value: item === null || item === undefined ? '' : String(item), label: fallback })
+            .filter(item => item.value !== '')
+            .slice(0, this.maxSuggestions);
+    }
+
+    hideSuggestions() {
+        this.suggestionRequest++; // a lookup still in flight must not reopen the list
+        if (!this.searchSuggestions) return;
+        this.searchSuggestions.classList.remove('active');
+        this.activeSuggestion = -1;
+        if (this.searchInput) {
+            this.searchInput.setAttribute('aria-expanded', 'false');
+            this.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    selectSuggestion(item) {
+        if (this.searchInput) this.searchInput.value = item.dataset.value;
+        clearTimeout(this.searchDebounce); // the pending keystroke search is superseded
+        this.searchPending = false;
+        this.searchTerm = item.dataset.value;
+        this.filterData();
+        this.hideSuggestions();
+    }
+
+    onSearchKeydown(e) {
+        const open = this.searchSuggestions && this.searchSuggestions.classList.contains('active');
+        if (e.key === 'Escape') {
+            if (open) {
+                e.preventDefault();
+                this.hideSuggestions();
+            }
+            return;
+        }
+        if (!open) return;
+
+        const items = Array.from(this.searchSuggestions.querySelectorAll('.suggestion-item'));
+        if (!items.length) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            // wraps around; from "nothing highlighted" ArrowUp goes to the last item
+            this.activeSuggestion = this.activeSuggestion === -1 && step < 0
+                ? items.length - 1
+                : (this.activeSuggestion + step + items.length) % items.length;
+            items.forEach((item, index) => {
+                const active = index === this.activeSuggestion;
+                item.classList.toggle('active', active);
+                item.setAttribute('aria-selected', active ? 'true' : 'false');
+                if (active && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+            });
+            this.searchInput.setAttribute('aria-activedescendant', items[this.activeSuggestion].id);
+        } else if (e.key === 'Enter' && items[this.activeSuggestion]) {
+            e.preventDefault();
+            this.selectSuggestion(items[this.activeSuggestion]);
+        }
+    }
+    
+    // Escaped `text` with every case-insensitive occurrence of the search terms wrapped in
+    // .suggestion-match. Matching is done on plain strings, so ( * [ and friends are just characters.
+    highlightMatch(text, terms) {
+        text = String(text);
+        const lower = text.toLowerCase();
+        const needles = (Array.isArray(terms) ? terms : [terms]).map(term => String(term || '').toLowerCase()).filter(Boolean);
+        // lowercasing can change the length of a few characters (e.g. İ); then the offsets don't line up
+        if (!needles.length || lower.length !== text.length) return this.escapeHtml(text);
+
+        const marked = new Array(text.length).fill(false);
+        needles.forEach(needle => {
+            for (let index = lower.indexOf(needle); index !== -1; index = lower.indexOf(needle, index + needle.length)) {
+                marked.fill(true, index, index + needle.length);
+            }
+        });
+
+        let html = '';
+        let start = 0;
+        for (let i = 1; i <= text.length; i++) {
+            if (i === text.length || marked[i] !== marked[start]) {
+                const part = this.escapeHtml(text.slice(start, i));
+                html += marked[start] ? `<span class="suggestion-match">${part}</span>` : part;
+                start = i;
+            }
+        }
+        return html;
+    }
+    
+    // Primary sort key, kept for callers that only know about single-column sorting
+    get sortColumn() {
+        return this.sortList.length ? this.sortList[0].column : null;
+    }
+
+    get sortDirection() {
+        return this.sortList.length ? this.sortList[0].direction : this.defaultOrder;
+    }
+
+    // Each click cycles a column asc -> desc -> unsorted. A plain click makes it the only sort key;
+    // with `additive` (shift+click) it is added to, cycled within or removed from the existing list.
+    sortTable(column, headerElement, additive = false) {
+        const current = this.sortList.find(sort => sort.column === column);
+        const next = !current ? 'asc' : (current.direction === 'asc' ? 'desc' : null);
+
+        if (additive) {
+            if (!current) {
+                this.sortList.push({ column, direction: next });
+            } else if (next) {
+                current.direction = next;
+            } else {
+                this.sortList = this.sortList.filter(sort => sort !== current);
+            }
+        } else {
+            // clicking a secondary key starts over with it as the only (ascending) key
+            const restart = current && this.sortList.length > 1;
+            this.sortList = restart ? [{ column, direction: 'asc' }] : (next ? [{ column, direction: next }] : []);
+        }
+        
+        this.updateSortIndicators();
+        
+        this.saveState();
+        this.emit('sort', this.sortColumn, this.sortDirection, this.getSort());
+        this.loadData(); // Reload from server with new sort
+    }
+
+    getSort() {
+        return this.sortList.map(sort => ({ column: sort.column, direction: sort.direction }));
+    }
+
+    // Replace the sort list: a column name (+ direction), or [{ column, direction }] / ['col', ...]
+    setSort(sort, direction) {
+        this.sortList = this.normalizeSortList(sort, direction);
+        this.updateSortIndicators();
+        this.saveState();
+        this.emit('sort', this.sortColumn, this.sortDirection, this.getSort());
+        this.loadData();
+    }
+
+    normalizeSortList(sort, direction = 'asc') {
+        if (!sort) return [];
+        const entries = Array.isArray(sort) ? sort : [{ column: sort, direction }];
+        const seen = new Set();
+        return entries.map(entry => (typeof entry === 'string' ? { column: entry, direction } : entry))
+            .filter(entry => entry && entry.column && !seen.has(entry.column) && seen.add(entry.column))
+            .map(entry => ({ column: String(entry.column), direction: String(entry.direction).toLowerCase() === 'desc' ? 'desc' : 'asc' }));
+    }
+
+    isColumnSortable(column) {
+        const col = this.columns[this.getColumnIndex(column)];
+        return !col || (col.sortable !== false && col.orderable !== false);
+    }
+    
+    // Direction classes on every sorted header, plus a priority number when sorting by several columns
+    updateSortIndicators() {
+        const multi = this.sortList.length > 1;
+        this.table.querySelectorAll('thead th[data-column]').forEach(h => {
+            const sortable = this.isColumnSortable(h.dataset.column);
+            const index = this.sortList.findIndex(sort => sort.column === h.dataset.column);
+            const direction = index === -1 ? null : this.sortList[index].direction;
+            this.toggleDomClass(h, 'sort-asc', direction === 'asc');
+            this.toggleDomClass(h, 'sort-desc', direction === 'desc');
+            this.toggleDomClass(h, 'sort-disabled', !sortable);
+            // sortable headers are keyboard operable (Enter/Space, see onTableKeydown)
+            this.setDomAttribute(h, 'tabindex', sortable ? '0' : null);
+            const badge = h.querySelector('.sort-priority');
+            if (badge) badge.remove();
+
+            // ARIA expects aria-sort on the primary key only; the others just lose "none"
+            if (index === -1) {
+                this.setDomAttribute(h, 'aria-sort', sortable ? 'none' : null);
+                return;
+            }
+            this.setDomAttribute(h, 'aria-sort', index === 0 ? (direction === 'desc' ? 'descending' : 'ascending') : null);
+            if (multi) {
+                const priority = document.createElement('span');
+                priority.className = 'sort-priority';
+                priority.textContent = index + 1;
+                priority.title = this.t('sortPriority', { priority: index + 1 });
+                h.appendChild(priority);
+            }
+        });
+    }
+    
+    renderTable() {
+        this.closeMenu(); // an open action menu's row is about to be replaced
+        this.editingCell = null; // and so is an open editor
+        if (this.data.length === 0) {
             const colspan = this.getTotalColumns();
+            // an empty search result gets its own message and a way back, instead of "no data"
+            const searching = !!this.searchTerm;
+            const action = searching ? `<button type="button" class="btn btn-link btn-sm" data-clear-search>${this.t('clearSearch')}</button>` : '';
             this.tbody.innerHTML = `
                 <tr>
                     <td colspan="${colspan}" class="text-center py-5">
-                        <div class="empty-state">
-                            <i>🔍</i>
-                            <div>No data found</div>
+                        <div class="empty-state${searching ? ' empty-search' : ''}">
+                            ${this.emptyStateIcon ? `<i>${this.emptyStateIcon}</i>` : ''}
+                            <div>${this.t(searching ? 'noResults' : 'empty', { term: this.escapeHtml(this.searchTerm) })}</div>
+                            ${action}
                         </div>
                     </td>
                 </tr>
             `;
         } else {
-            this.tbody.innerHTML = this.data.map((row, idx) => this.renderRow(row, idx)).join('');
+            // details of rows that left the page close, unless keepDetailsOpen
+            if (this.expanderColumn && !this.keepDetailsOpen) {
+                const pageIds = new Set(this.data.map(row => this.getRowId(row)));
+                this.expandedRows.forEach(id => { if (!pageIds.has(id)) this.expandedRows.delete(id); });
+            }
+            this.renderBody(this.renderRows() + this.renderLoadMoreRow());
+            this.applyGroupCollapse();
+            this.expandedRows.forEach(id => this.fillDetail(id));
         }
+        this.renderAggregates();
         
-        // NEW: Only clear/update checkboxes if enabled
+        // Re-apply the persistent selection to the freshly rendered rows
         if (this.enableCheckboxes) {
-            const selectAllCheckbox = document.getElementById('selectAllRows');
-            if (selectAllCheckbox) selectAllCheckbox.checked = false;
+            this.refreshSelectedRowData();
+            this.updateSelectAllCheckbox();
         }
         
         this.renderPagination();
         this.updateTableInfo();
         
         // Initialize Feather icons for the newly rendered content
-        if (typeof feather !== 'undefined') {
-            feather.replace();
-        }
-        
-        // NEW: Add event listeners to row checkboxes only if enabled
-        if (this.enableCheckboxes) {
-            this.tbody.querySelectorAll('.select-row').forEach(checkbox => {
-                checkbox.addEventListener('change', () => {
-                    this.updateSelectAllCheckbox();
-                });
-            });
+        this.replaceIcons();
+
+        this.table.removeAttribute('aria-busy');
+        this.table.classList.remove('table-loading');
+        this.observeLoadMore();
+        if (this.virtualScroll) this.measureRowHeight();
+        if (this.keyboardNavigation) {
+            this.updateGridTabindex();
+            if (this.restoreGridFocus) {
+                this.restoreGridFocus = false;
+                const cell = this.tbody.querySelector('td[tabindex="0"]');
+                if (cell) cell.focus();
+            }
+        } else {
+            this.updateEditableTabindex();
         }
     }
 
     updateSelectAllCheckbox() {
         if (!this.enableCheckboxes) return; // Skip if checkboxes disabled
-        
-        const selectAllCheckbox = document.getElementById('selectAllRows');
-        if (!selectAllCheckbox) return;
 
-        const allCheckboxes = this.tbody.querySelectorAll('.select-row');
-        const checkedCheckboxes = this.tbody.querySelectorAll('.select-row:checked');
+        const pageIds = this.data.map(row => this.getRowId(row));
+        const checkedCount = pageIds.filter(id => this.isRowSelected(id)).length;
 
-        // Auto-check select-all if all rows are checked
-        selectAllCheckbox.checked = (allCheckboxes.length > 0 && checkedCheckboxes.length === allCheckboxes.length);
-        
-        // Update indeterminate state if some (but not all) are checked
-        selectAllCheckbox.indeterminate = (checkedCheckboxes.length > 0 && checkedCheckboxes.length < allCheckboxes.length);
+        if (this.selectAllCheckbox) {
+            // Auto-check select-all if all rows on this page are selected
+            this.selectAllCheckbox.checked = (pageIds.length > 0 && checkedCount === pageIds.length);
+
+            // Update indeterminate state if some (but not all) are checked
+            this.selectAllCheckbox.indeterminate = (checkedCount > 0 && checkedCount < pageIds.length);
+        }
+
+        this.renderSelectionBanner(pageIds.length > 0 && checkedCount === pageIds.length);
+    }
+
+    renderSelectionBanner(pageFullySelected) {
+        const total = this.filteredRecords;
+        let html = '';
+
+        if (this.selectAllMatching) {
+            const count = this.getSelectionCount();
+            html = `${this.t('selectionAllMatching', { count })} <a href="#" data-selection-action="clear">${this.t('clearSelection')}</a>`;
+        } else if (pageFullySelected && total > this.data.length) {
+            html = `${this.t('selectionPage', { count: this.data.length })} <a href="#" data-selection-action="all">${this.t('selectAllMatching', { count: total, total })}</a>`;
+        }
+
+        if (!html) {
+            if (this.selectionBanner) this.selectionBanner.classList.remove('active');
+            return;
+        }
+
+        // Lazily create the banner just above the table unless the page supplied one
+        if (!this.selectionBanner) {
+            this.selectionBanner = document.createElement('div');
+            this.selectionBanner.className = 'table-selection-banner';
+            this.selectionBanner.dataset.tableSelectionBanner = '';
+            this.table.parentNode.insertBefore(this.selectionBanner, this.table);
+            this.ownsSelectionBanner = true;
+        }
+
+        this.selectionBanner.innerHTML = html;
+        this.selectionBanner.classList.add('active');
+    }
+
+    // Selection Methods
+    getRowId(row) {
+        const id = row ? row[this.primaryKey] : undefined;
+        return (id === undefined || id === null) ? '' : String(id);
+    }
+
+    isRowSelected(id) {
+        id = String(id);
+        return this.selectAllMatching ? !this.excludedRows.has(id) : this.selectedRows.has(id);
+    }
+
+    setRowSelected(id, selected) {
+        id = String(id);
+        if (this.selectAllMatching) {
+            if (selected) this.excludedRows.delete(id);
+            else this.excludedRows.add(id);
+        } else if (selected) {
+            const row = this.data.find(r => this.getRowId(r) === id);
+            this.selectedRows.set(id, row || this.selectedRows.get(id) || null);
+        } else {
+            this.selectedRows.delete(id);
+        }
+        this.syncSelectionUI();
+        this.notifySelectionChange();
+    }
+
+    setPageSelected(selected) {
+        this.data.forEach(row => {
+            const id = this.getRowId(row);
+            if (this.selectAllMatching) {
+                if (selected) this.excludedRows.delete(id);
+                else this.excludedRows.add(id);
+            } else if (selected) {
+                this.selectedRows.set(id, row);
+            } else {
+                this.selectedRows.delete(id);
+            }
+        });
+        this.syncSelectionUI();
+        this.notifySelectionChange();
+    }
+
+    // Select every row on the current page (selections on other pages are kept)
+    selectAllRows() {
+        this.setPageSelected(true);
+    }
+
+    // Select every record matching the current search/filters, including rows on pages never loaded
+    selectAllMatchingRows() {
+        this.selectAllMatching = true;
+        this.excludedRows.clear();
+        this.syncSelectionUI();
+        this.notifySelectionChange();
+    }
+
+    clearSelection() {
+        this.selectAllMatching = false;
+        this.excludedRows.clear();
+        this.selectedRows.clear();
+        this.syncSelectionUI();
+        this.notifySelectionChange();
+    }
+
+    // IDs of selected rows. In select-all-matching mode only loaded rows are known here;
+    // use getSelection() to hand the full selection to a bulk endpoint.
+    getSelectedRows() {
+        if (this.selectAllMatching) {
+            return this.data.map(row => this.getRowId(row)).filter(id => !this.excludedRows.has(id));
+        }
+        return Array.from(this.selectedRows.keys());
+    }
+
+    getSelectedRowData() {
+        if (this.selectAllMatching) {
+            return this.data.filter(row => !this.excludedRows.has(this.getRowId(row)));
+        }
+        return Array.from(this.selectedRows.values()).filter(row => row);
+    }
+
+    getSelectionCount() {
+        if (this.selectAllMatching) {
+            return Math.max(0, this.filteredRecords - this.excludedRows.size);
+        }
+        return this.selectedRows.size;
+    }
+
+    // Full selection descriptor for bulk jobs. When `allMatching` is true the server should
+    // apply the job to every record matching `query`, minus `excludedIds`.
+    getSelection() {
+        return {
+            allMatching: this.selectAllMatching,
+            ids: this.selectAllMatching ? [] : this.getSelectedRows(),
+            excludedIds: Array.from(this.excludedRows),
+            count: this.getSelectionCount(),
+            query: {
+                search: this.searchTerm,
+                filters: JSON.parse(JSON.stringify(this.filters)),
+                sortColumn: this.sortColumn,
+                sortDirection: this.sortDirection,
+                sort: this.getSort()
+            }
+        };
+    }
+
+    // Keep stored row data in sync with the latest server copy
+    refreshSelectedRowData() {
+        this.data.forEach(row => {
+            const id = this.getRowId(row);
+            if (this.selectedRows.has(id)) this.selectedRows.set(id, row);
+        });
+    }
+
+    syncSelectionUI() {
+        if (!this.enableCheckboxes) return;
+        this.tbody.querySelectorAll('.select-row').forEach(checkbox => {
+            const selected = this.isRowSelected(checkbox.dataset.id);
+            checkbox.checked = selected;
+            const tr = checkbox.closest('tr');
+            if (tr) tr.classList.toggle('row-selected', selected);
+        });
+        this.updateSelectAllCheckbox();
+    }
+
+    notifySelectionChange() {
+        this.emit('rowsSelected', this.getSelectedRows(), this.getSelectedRowData(), this.getSelection());
+    }
+
+    // Event Methods
+    // Event names mirror the callback options without the `on` prefix:
+    // beforeRequest, afterRequest, dataLoaded, error, sort, pageChange, rowClick, rowsSelected, rowsChanged
+    on(event, handler) {
+        if (typeof handler !== 'function') return this;
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        if (event === 'rowClick') this.updateRowInteractivity();
+        return this;
+    }
+
+    off(event, handler) {
+        if (!this.listeners[event]) return this;
+        this.listeners[event] = handler ? this.listeners[event].filter(h => h !== handler) : [];
+        if (event === 'rowClick') this.updateRowInteractivity();
+        return this;
+    }
+
+    // Rows get the pointer cursor while something listens for row clicks
+    isRowInteractive() {
+        return !!this.rowHighlight || this.hasHandlers('rowClick');
+    }
+
+    updateRowInteractivity() {
+        if (!this.tbody) return;
+        const interactive = this.isRowInteractive();
+        this.tbody.querySelectorAll('tr[data-id]').forEach(tr => tr.classList.toggle('row-interactive', interactive));
+    }
+
+    // Calls the constructor callback for `event` followed by every subscriber. Returns their
+    // results so callers such as loadData() can honour a veto from beforeRequest.
+    emit(event, ...args) {
+        const callbackName = /^(before|after)/.test(event) ? event : 'on' + event.charAt(0).toUpperCase() + event.slice(1);
+        const handlers = [this.callbacks[callbackName]].concat(this.listeners[event] || []).filter(h => typeof h === 'function');
+        return handlers.map(handler => {
+            try {
+                return handler.apply(this, args);
+            } catch (e) {
+                console.warn(`[CustomDataTable] ${event} handler error`, e);
+                return undefined;
+            }
+        });
+    }
+
+    hasHandlers(event) {
+        const callbackName = 'on' + event.charAt(0).toUpperCase() + event.slice(1);
+        return typeof this.callbacks[callbackName] === 'function' || (this.listeners[event] || []).length > 0;
     }
     
     renderRow(row) {
-        // Build row cells dynamically from column definitions
-        const cells = this.columns.map(col => {
+        // Build row cells dynamically from the visible columns, in layout order
+        const cells = this.getVisibleColumns().map(col => {
             const key = col._data;
             const stickyClass = col.sticky ? ' sticky-col' : '';
             
             // Handle checkbox column (only if enabled)
             if ((col.key === '_select' || key === '_select') && this.enableCheckboxes) {
-                const id = this.escapeHtml(row[this.primaryKey] || (key ? row[key] : '') || '');
-                return `<td class="${stickyClass}"><input type="checkbox" class="select-row" data-id="${id}" /></td>`;
+                const rowId = this.getRowId(row);
+                const checked = this.isRowSelected(rowId) ? ' checked' : '';
+                return `<td class="${stickyClass}"><input type="checkbox" class="select-row" data-id="${this.escapeHtml(rowId)}" aria-label="${this.escapeHtml(this.t('selectRow', { id: String(rowId) }))}"${checked} /></td>`;
             }
             
             // Skip checkbox column if not enabled
@@ -457,77 +3895,265 @@ class CustomDataTable {
                 return '';
             }
 
-            const raw = key ? (row[key] !== undefined ? row[key] : '') : '';
-            let content = '';
-            if (typeof col.render === 'function') {
-                try {
-                    content = col.render(raw, row);
-                } catch (e) {
-                    console.warn('Column render error', e);
-                    content = this.escapeHtml(String(raw));
-                }
-            } else {
-                content = this.escapeHtml(String(raw));
+            if (col === this.expanderColumn) {
+                const rowId = this.getRowId(row);
+                const expanded = this.expandedRows.has(rowId);
+                return `<td class="detail-toggle-col${stickyClass}"><button type="button" class="btn btn-sm detail-toggle${expanded ? ' expanded' : ''}" data-detail-toggle aria-expanded="${expanded}" aria-controls="${this.escapeHtml(this.getDetailRowId(rowId))}" aria-label="${this.escapeHtml(this.t('showDetails', { id: String(rowId) }))}"><i data-feather="chevron-right"></i></button></td>`;
             }
 
-            return `<td${stickyClass}>${content}</td>`;
+            const content = this.renderCellContent(col, row);
+            const width = this.columnWidths[col._id];
+            const style = width ? ` style="width:${width}px;max-width:${width}px"` : '';
+            const align = this.getColumnAlign(col);
+            const classes = (stickyClass + (align ? ` text-${align}` : '') + (col.editable ? ' cell-editable' : '')).trim();
+            // editable cells are focusable so Enter can open the editor; updateEditableTabindex() picks the tab stop
+            const editable = col.editable ? ` data-editable data-column-id="${this.escapeHtml(col._id)}" tabindex="-1"` : '';
+            return `<td${classes ? ` class="${classes}"` : ''}${style}${editable}>${content}</td>`;
         }).filter(cell => cell !== '').join(''); // Filter out empty checkbox cells when disabled
 
         const actionsHtml = this.actions && this.actions.length ? `<td class="actions-col">${this.renderActions(row)}</td>` : '';
+        const rowId = this.getRowId(row);
+        const rowClasses = [];
+        if (this.enableCheckboxes && this.isRowSelected(rowId)) rowClasses.push('row-selected');
+        if (this.isRowInteractive()) rowClasses.push('row-interactive');
+        const rowClass = rowClasses.length ? ` class="${rowClasses.join(' ')}"` : '';
 
         return `
-            <tr>
+            <tr data-id="${this.escapeHtml(rowId)}"${rowClass}>
                 ${cells}
                 ${actionsHtml}
             </tr>
+            ${this.expandedRows.has(rowId) ? this.renderDetailRow(row) : ''}
         `;
     }
     
-    renderActions(row) {
-        // actions can be { label, icon, class, onclick, title } - renders icon-only buttons with tooltip
-        const btns = (this.actions || []).map(action => {
-            const cls = action.class || 'btn-secondary';
-            const icon = action.icon ? `<i data-feather="${action.icon}"></i>` : '';
-            const title = action.title || action.label || '';
-            const id = this.escapeHtml(row[this.primaryKey] || row[action.key || this.primaryKey] || row.id || '');
-
-            // onclick wiring: call provided function reference or global function name
-            let onclick = '';
-            if (typeof action.onclick === 'function') {
-                // store function on window so inline onclick can call it
-                const fnName = `__table_action_${this.tableId}_${Math.random().toString(36).substr(2,6)}`;
-                window[fnName] = (id) => action.onclick(id, row);
-                onclick = `window.${fnName}('${id}')`;
-            } else if (typeof action.onclick === 'string') {
-                onclick = `${action.onclick}('${id}')`;
-            } else if (action.href) {
-                onclick = `window.location.href='${action.href.replace(/\{id\}/g, id)}'`;
-            } else {
-                onclick = '';
+    // HTML for one data cell: the column's render() output, or the escaped raw value
+    renderCellContent(col, row) {
+        const key = col._data;
+        const raw = key ? (row[key] !== undefined ? row[key] : '') : '';
+        if (typeof col.render === 'function') {
+            try {
+                return col.render(raw, row);
+            } catch (e) {
+                console.warn('Column render error', e);
+                return this.escapeHtml(String(raw));
+            }
+        }
+        if (col.type) {
+            try {
+                return this.formatTypedValue(col, raw, row);
+            } catch (e) {
+                console.warn('Column format error', e);
             }
+        }
+        return this.escapeHtml(String(raw));
+    }
 
-            const handler = onclick ? `onclick="${onclick}"` : '';
+    // Column Type Methods
+    // `type` formats columns without a render function: 'number', 'currency', 'percent', 'date',
+    // 'datetime', 'relative-time', 'boolean', 'badge', 'image' and 'link'. `format` holds extra
+    // Intl options (e.g. { maximumFractionDigits: 0 }). Returns HTML, or plain text with html = false.
+    formatTypedValue(col, value, row, html = true) {
+        if (value === null || value === undefined || value === '') return '';
+        const text = (t) => (html ? this.escapeHtml(t) : t);
 
-            return `<button class="btn btn-sm ${cls}" title="${title}" ${handler}>${icon}</button>`;
-        }).join('');
+        switch (col.type) {
+            case 'number':
+            case 'currency':
+            case 'percent': {
+                const number = typeof value === 'number' ? value : parseFloat(value);
+                return isNaN(number) ? text(String(value)) : text(this.getTypeFormatter(col).format(number));
+            }
+            case 'date':
+            case 'datetime':
+            case 'relative-time': {
+                const date = this.parseDate(value);
+                if (isNaN(date.getTime())) return text(String(value));
+                const calendarDay = this.isCalendarDate(value);
+                const absolute = this.getTypeFormatter(col.type === 'relative-time' ? { _id: '_datetime', type: 'datetime' } : col, calendarDay).format(date);
+                const shown = col.type === 'relative-time' ? this.formatRelativeTime(col, date) : absolute;
+                if (!html) return shown;
+                const title = col.type === 'relative-time' ? ` title="${this.escapeHtml(absolute)}"` : '';
+                return `<time datetime="${this.escapeHtml(calendarDay ? value.trim() : date.toISOString())}"${title}>${this.escapeHtml(shown)}</time>`;
+            }
+            case 'boolean': {
+                const on = this.isTruthyValue(value);
+                const labels = col.labels || {};
+                const label = on ? (labels.true !== undefined ? labels.true : this.t('yes')) : (labels.false !== undefined ? labels.false : this.t('no'));
+                if (!html) return String(label);
+                if (col.labels) return `<span class="cell-boolean ${on ? 'is-true' : 'is-false'}">${this.escapeHtml(label)}</span>`;
+                return `<span class="cell-boolean ${on ? 'is-true' : 'is-false'}" title="${this.escapeHtml(label)}" aria-label="${this.escapeHtml(label)}">${on ? '✓' : '✗'}</span>`;
+            }
+            case 'badge': {
+                if (!html) return String(value);
+                const colors = col.badges || {};
+                let color = typeof colors === 'function' ? colors(value, row) : colors[value];
+                color = /^[\w-]+$/.test(color || '') ? color : 'secondary';
+                return `<span class="badge bg-${color}">${this.escapeHtml(String(value))}</span>`;
+            }
+            case 'image': {
+                const url = String(value);
+                if (!html) return url;
+                if (!this.isSafeUrl(url, true)) return '';
+                const size = col.imageSize || 40;
+                const alt = col.alt && row ? (row[col.alt] !== undefined && row[col.alt] !== null ? row[col.alt] : '') : '';
+                return `<img src="${this.escapeHtml(url)}" alt="${this.escapeHtml(String(alt))}" class="cell-image" loading="lazy" width="${size}" height="${size}">`;
+            }
+            case 'link': {
+                // `href` is a template like '/items/{id}'; without it the value is the URL
+                const href = col.href && row ? this.fillTemplate(col.href, row, this.getRowId(row)) : String(value);
+                if (!html) return String(value);
+                if (!this.isSafeUrl(href)) return this.escapeHtml(String(value));
+                const target = col.target ? ` target="${this.escapeHtml(col.target)}"${col.target === '_blank' ? ' rel="noopener noreferrer"' : ''}` : '';
+                return `<a href="${this.escapeHtml(href)}"${target}>${this.escapeHtml(String(value))}</a>`;
+            }
+            default:
+                return text(String(value));
+        }
+    }
+
+    // Intl formatters are expensive to create, so there is one per column
+    // calendarDay: format a bare date (UTC midnight from parseDate) in UTC, whatever `timeZone` says
+    getTypeFormatter(col, calendarDay = false) {
+        const key = calendarDay ? `${col._id}:day` : col._id;
+        if (this.formatters.has(key)) return this.formatters.get(key);
+
+        const format = col.format || {};
+        let formatter;
+        if (col.type === 'number') {
+            formatter = new Intl.NumberFormat(this.locale, format);
+        } else if (col.type === 'currency') {
+            formatter = new Intl.NumberFormat(this.locale, Object.assign({ style: 'currency', currency: col.currency || this.currency }, format));
+        } else if (col.type === 'percent') {
+            // Intl convention: 0.25 is 25%
+            formatter = new Intl.NumberFormat(this.locale, Object.assign({ style: 'percent', maximumFractionDigits: 1 }, format));
+        } else if (col.type === 'relative-time') {
+            formatter = new Intl.RelativeTimeFormat(this.locale, Object.assign({ numeric: 'auto' }, format));
+        } else {
+            // dateStyle/timeStyle can't be mixed with field options such as { month: 'long' }
+            const fields = ['weekday', 'era', 'year', 'month', 'day', 'hour', 'minute', 'second'].some(key => format[key] !== undefined);
+            const styles = fields || format.dateStyle || format.timeStyle ? {} : (col.type === 'datetime' ? { dateStyle: 'medium', timeStyle: 'short' } : { dateStyle: 'medium' });
+            formatter = new Intl.DateTimeFormat(this.locale, Object.assign({ timeZone: this.timeZone }, styles, format, calendarDay ? { timeZone: 'UTC' } : {}));
+        }
+        this.formatters.set(key, formatter);
+        return formatter;
+    }
+
+    // Date objects, millisecond timestamps, ISO strings and Laravel's 'Y-m-d H:i:s'
+    parseDate(value) {
+        if (value instanceof Date) return value;
+        if (typeof value === 'number') return new Date(value);
+        const text = String(value).trim();
+        // new Date('2024-05-01') is UTC midnight; such a bare date is a calendar day and is formatted in
+        // UTC as well (see getTypeFormatter), so it shows as written in every time zone
+        return new Date(text.replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2'));
+    }
+
+    // A bare 'YYYY-MM-DD' names a day rather than a moment
+    isCalendarDate(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+    }
+
+    formatRelativeTime(col, date) {
+        const seconds = (date.getTime() - Date.now()) / 1000;
+        const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+        const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length) || units[units.length - 1];
+        return this.getTypeFormatter(col).format(Math.round(seconds / size), unit);
+    }
+
+    // Web, mail and phone URLs only (plus inline images for `image` columns). The URL is parsed the
+    // way the browser will, which strips tabs, newlines and control characters, so "java\tscript:"
+    // is seen for what it is. Relative URLs resolve against the page.
+    isSafeUrl(url, image = false) {
+        let parsed;
+        try {
+            parsed = new URL(String(url), window.location.href);
+        } catch (e) {
+            return false;
+        }
+        if (['http:', 'https:', 'mailto:', 'tel:'].includes(parsed.protocol)) return true;
+        return image && parsed.protocol === 'data:' && /^image\//i.test(parsed.pathname);
+    }
+
+    // Bootstrap text alignment for a column: `align` ('start', 'center', 'end'), or from its type
+    getColumnAlign(col) {
+        if (col.align) return col.align;
+        if (['number', 'currency', 'percent'].includes(col.type)) return 'end';
+        if (col.type === 'boolean' || col.type === 'image') return 'center';
+        return null;
+    }
+    
+    renderActions(row) {
+        // actions can be { label, icon, class, onclick, href, method, url, title, visible, disabled, confirm }.
+        // icon/class/title/visible/disabled may be functions of the row. Clicks are handled by the
+        // delegated listener in handleClick(), matched by data-action-index
+        const visible = [];
+        (this.actions || []).forEach((action, index) => {
+            const show = action.visible !== undefined ? action.visible : action.condition;
+            if (show === undefined || this.resolveActionOption(show, row)) visible.push({ action, index });
+        });
+        if (!visible.length) return '';
+
+        const describe = ({ action, index }) => {
+            const iconName = this.resolveActionOption(action.icon, row);
+            return {
+                index,
+                id: this.escapeHtml(this.getRowId(row)),
+                cls: this.escapeHtml(this.resolveActionOption(action.class, row) || 'btn-secondary'),
+                icon: iconName ? `<i data-feather="${this.escapeHtml(iconName)}"></i>` : '',
+                title: this.escapeHtml(this.resolveActionOption(action.title || action.label, row) || ''),
+                label: this.escapeHtml(action.label || this.resolveActionOption(action.title, row) || ''),
+                disabled: !!this.resolveActionOption(action.disabled, row)
+            };
+        };
+
+        // With maxInlineActions set, rows with more actions show the first ones plus a "more" menu
+        const limit = this.maxInlineActions;
+        const inline = limit && visible.length > limit ? visible.slice(0, limit) : visible;
+        const overflow = visible.slice(inline.length);
+
+        const btns = inline.map(describe).map(a =>
+            `<button type="button" class="btn btn-sm ${a.cls}" title="${a.title}" aria-label="${a.title || a.label}" data-action-index="${a.index}" data-action-id="${a.id}"${a.disabled ? ' disabled' : ''}>${a.icon}</button>`
+        ).join('');
+
+        let more = '';
+        if (overflow.length) {
+            const items = overflow.map(describe).map(a =>
+                `<button type="button" class="dropdown-item" data-action-index="${a.index}" data-action-id="${a.id}"${a.disabled ? ' disabled' : ''}>${a.icon}<span>${a.label || a.title}</span></button>`
+            ).join('');
+            more = `<div class="action-more">` +
+                `<button type="button" class="btn btn-sm btn-secondary" title="${this.escapeHtml(this.t('moreActions'))}" aria-haspopup="true" aria-expanded="false" data-action-more><i data-feather="more-horizontal"></i></button>` +
+                `<div class="dropdown-menu action-menu">${items}</div>` +
+                `</div>`;
+        }
 
-        return `<div class="action-btns">${btns}</div>`;
+        return `<div class="action-btns">${btns}${more}</div>`;
+    }
+    
+    getTotalPages() {
+        if (!this.totalKnown) return this.hasMore ? this.currentPage + 1 : this.currentPage;
+        return Math.ceil(this.filteredRecords / this.perPage);
     }
     
     renderPagination() {
-        const totalPages = Math.ceil(this.filteredRecords / this.perPage);
+        const totalPages = this.getTotalPages();
         
-        if (totalPages <= 1) {
+        // infinite mode has the "load more" row instead
+        if (totalPages <= 1 || this.paginationMode === 'infinite') {
             this.pagination.innerHTML = '';
             return;
         }
         
         let html = '';
+        const pageLabel = (page) => this.escapeHtml(this.t('page', { page }));
+        // the list runs right to left in RTL pages; the dir attribute also flips the rounded ends
+        this.setDomAttribute(this.pagination, 'dir', this.dir === 'rtl' ? 'rtl' : null);
         
         // Previous button
+        // Real buttons, so every control is reachable with Tab and operable with Enter/Space
         html += `
             <li class="page-item ${this.currentPage === 1 ? 'disabled' : ''}">
-                <a class="page-link" data-page="${this.currentPage - 1}">Previous</a>
+                <button type="button" class="page-link" data-page="${this.currentPage - 1}" aria-label="${this.escapeHtml(this.t('previousPage'))}"${this.currentPage === 1 ? ' disabled' : ''}>${this.t('previous')}</button>
             </li>
         `;
         
@@ -541,105 +4167,585 @@ class CustomDataTable {
         }
         
         if (startPage > 1) {
-            html += `<li class="page-item"><a class="page-link" data-page="1">1</a></li>`;
+            html += `<li class="page-item"><button type="button" class="page-link" data-page="1" aria-label="${pageLabel(1)}">${this.numberFormat.format(1)}</button></li>`;
             if (startPage > 2) {
-                html += `<li class="page-item disabled"><span class="page-link">...</span></li>`;
+                html += `<li class="page-item disabled"><span class="page-link" aria-hidden="true">...</span></li>`;
             }
         }
         
         for (let i = startPage; i <= endPage; i++) {
             html += `
                 <li class="page-item ${i === this.currentPage ? 'active' : ''}">
-                    <a class="page-link" data-page="${i}">${i}</a>
+                    <button type="button" class="page-link" data-page="${i}" aria-label="${pageLabel(i)}"${i === this.currentPage ? ' aria-current="page"' : ''}>${this.numberFormat.format(i)}</button>
                 </li>
             `;
         }
         
         if (endPage < totalPages) {
             if (endPage < totalPages - 1) {
-                html += `<li class="page-item disabled"><span class="page-link">...</span></li>`;
+                html += `<li class="page-item disabled"><span class="page-link" aria-hidden="true">...</span></li>`;
             }
-            html += `<li class="page-item"><a class="page-link" data-page="${totalPages}">${totalPages}</a></li>`;
+            html += `<li class="page-item"><button type="button" class="page-link" data-page="${totalPages}" aria-label="${pageLabel(totalPages)}">${this.numberFormat.format(totalPages)}</button></li>`;
         }
         
         // Next button
         html += `
             <li class="page-item ${this.currentPage === totalPages ? 'disabled' : ''}">
-                <a class="page-link" data-page="${this.currentPage + 1}">Next</a>
+                <button type="button" class="page-link" data-page="${this.currentPage + 1}" aria-label="${this.escapeHtml(this.t('nextPage'))}"${this.currentPage === totalPages ? ' disabled' : ''}>${this.t('next')}</button>
             </li>
         `;
         
         this.pagination.innerHTML = html;
-        
-        // Add click handlers
-        this.pagination.querySelectorAll('.page-link[data-page]').forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const page = parseInt(link.dataset.page);
-                if (page > 0 && page <= totalPages && page !== this.currentPage) {
-                    this.currentPage = page;
-                    this.saveState();
-                    this.loadData(); // Reload from server with new page
-                    this.scrollToTop();
-                }
-            });
-        });
-        
-        // NEW: Only add checkbox listeners if enabled
-        if (this.enableCheckboxes) {
-            this.tbody.querySelectorAll('.select-row').forEach(checkbox => {
-                checkbox.addEventListener('change', () => {
-                    this.updateSelectAllCheckbox();
-                });
-            });
-        }
+    }
+    
+    goToPage(page) {
+        if (this.paginationMode === 'infinite') return; // one growing list; see loadMore()
+        const totalPages = Math.max(1, this.getTotalPages());
+        page = parseInt(page);
+        if (!(page > 0 && page <= totalPages) || page === this.currentPage) return;
+
+        const previousPage = this.currentPage;
+        this.currentPage = page;
+        this.saveState();
+        this.emit('pageChange', page, previousPage);
+        this.loadData(); // Reload from server with new page
+        this.scrollToTop();
     }
     
     updateTableInfo() {
-        const start = this.data.length === 0 ? 0 : (this.currentPage - 1) * this.perPage + 1;
-        const end = Math.min(start + this.data.length - 1, (this.currentPage - 1) * this.perPage + this.data.length);
+        const offset = this.paginationMode === 'infinite' ? 0 : (this.currentPage - 1) * this.perPage;
+        const start = this.data.length === 0 ? 0 : offset + 1;
+        const end = offset + this.data.length;
         const total = this.filteredRecords;
         const totalRecords = this.totalRecords;
         
-        let info = `Showing ${start} to ${end} of ${total} entries`;
-        if (total !== totalRecords) {
-            info += ` (filtered from ${totalRecords} total entries)`;
+        let info;
+        if (!this.totalKnown) {
+            info = this.t('infoUnknownTotal', { start, end, count: end });
+        } else {
+            info = this.t('info', { start, end, total, count: total });
+            if (total !== totalRecords) {
+                info += ' ' + this.t('infoFiltered', { max: totalRecords, count: totalRecords });
+            }
         }
         
-        this.tableInfo.textContent = info;
+        if (this.tableInfo) this.tableInfo.textContent = info;
+        this.announce(info);
     }
     
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
+    // Auto-Refresh Methods
+    startAutoRefresh(interval = this.autoRefreshInterval) {
+        interval = parseInt(interval);
+        if (!(interval >= 100)) {
+            console.warn('[CustomDataTable] Auto-refresh interval must be at least 100ms');
+            return;
+        }
+        this.stopAutoRefresh();
+        this.autoRefreshInterval = interval;
+        this.autoRefreshTimer = setInterval(() => this.autoRefreshTick(), interval);
+
+        // A tick skipped while the tab was hidden is made up as soon as it is visible again
+        this.visibilityHandler = () => {
+            if (!document.hidden && this.refreshPending) {
+                this.refreshPending = false;
+                this.autoRefreshTick();
+            }
+        };
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+    }
+
+    stopAutoRefresh() {
+        clearInterval(this.autoRefreshTimer);
+        this.autoRefreshTimer = null;
+        this.refreshPending = false;
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
+    }
+
+    autoRefreshTick() {
+        if (document.hidden) {
+            this.refreshPending = true;
+            return;
+        }
+        // Never interrupt the user: skip while they type or while their own request is in flight
+        if (this.isUserTyping() || this.abortController) return;
+        if (this.isOffline()) {
+            this.reloadWhenOnline = true;
+            return;
+        }
+
+        if (this.mode === 'client') {
+            if (!this.apiUrl) return; // inline data has nothing to poll
+            this.clientLoaded = false;
+        }
+        this.loadData({ background: true });
+    }
+
+    isUserTyping() {
+        const active = document.activeElement;
+        if (this.searchPending) return true; // debounced search not applied yet
+        if (this.editingCell) return true; // a background render would throw the open editor away
+        return !!(active && ((this.searchInput && active === this.searchInput) || (this.filterRow && this.filterRow.contains(active))));
+    }
+
+    // primaryKey -> serialized row, to diff against the next load
+    snapshotRows() {
+        const snapshot = new Map();
+        this.data.forEach(row => snapshot.set(this.getRowId(row), JSON.stringify(row)));
+        return snapshot;
+    }
+
+    highlightChangedRows(previousRows) {
+        if (!this.highlightChanges || !previousRows || !previousRows.size) return;
+
+        const changedIds = [];
+        const addedIds = [];
+        this.data.forEach(row => {
+            const id = this.getRowId(row);
+            if (!previousRows.has(id)) addedIds.push(id);
+            else if (previousRows.get(id) !== JSON.stringify(row)) changedIds.push(id);
+        });
+        if (!changedIds.length && !addedIds.length) return;
+
+        this.tbody.querySelectorAll('tr[data-id]').forEach(tr => {
+            if (changedIds.includes(tr.dataset.id)) tr.classList.add('row-changed');
+            if (addedIds.includes(tr.dataset.id)) tr.classList.add('row-added');
+        });
+        clearTimeout(this.highlightTimer);
+        this.highlightTimer = setTimeout(() => {
+            this.tbody.querySelectorAll('tr.row-changed, tr.row-added').forEach(tr => tr.classList.remove('row-changed', 'row-added'));
+        }, this.highlightDuration);
+
+        this.emit('rowsChanged', changedIds, addedIds);
+    }
+
+    captureScroll() {
+        return {
+            windowX: window.scrollX,
+            windowY: window.scrollY,
+            left: this.container ? this.container.scrollLeft : 0,
+            top: this.container ? this.container.scrollTop : 0
+        };
+    }
+
+    restoreScroll(scroll) {
+        if (!scroll) return;
+        if (this.container) {
+            this.container.scrollLeft = scroll.left;
+            this.container.scrollTop = scroll.top;
+        }
+        if (window.scrollX !== scroll.windowX || window.scrollY !== scroll.windowY) {
+            window.scrollTo(scroll.windowX, scroll.windowY);
+        }
+    }
+    
+    // Export Methods
+    // Columns that end up in exports: the visible data columns in layout order (every column with
+    // `columns: 'all'`), minus those marked `exportable: false`
+    getExportColumns(options = {}) {
+        const columns = options.columns === 'all' ? this.getOrderedColumns() : this.getVisibleColumns();
+        return columns.filter(col => col._data && !col.utility && col.exportable !== false);
+    }
+
+    // values: 'raw' (the data as received) or 'rendered' (text of the column's render output).
+    // A column's exportValue(value, row) function always wins.
+    getExportValue(col, row, values = 'raw') {
+        const raw = row[col._data] !== undefined ? row[col._data] : '';
+        if (typeof col.exportValue === 'function') {
+            try {
+                return col.exportValue(raw, row);
+            } catch (e) {
+                console.warn('Column exportValue error', e);
+                return raw;
+            }
+        }
+        if (values === 'rendered' && typeof col.render === 'function') {
+            return this.htmlToText(this.renderCellContent(col, row));
+        }
+        // typed columns export their formatted text (image and link columns: the URL / link text)
+        if (values === 'rendered' && col.type) {
+            return this.formatTypedValue(col, raw, row, false);
+        }
+        return raw;
+    }
+
+    // Parsed with DOMParser so markup from render() is never live (no scripts, no image requests)
+    htmlToText(html) {
+        if (html === null || html === undefined) return '';
+        const doc = new DOMParser().parseFromString(String(html), 'text/html');
+        return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // scope: 'page' (rows on screen), 'selection' (selected rows) or 'all' (every filtered record)
+    async getExportRows(scope = 'page') {
+        if (scope === 'page') return this.data.slice();
+        if (scope === 'selection' && !this.selectAllMatching) return this.getSelectedRowData();
+
+        const rows = await this.fetchAllRows();
+        return scope === 'selection' ? rows.filter(row => !this.excludedRows.has(this.getRowId(row))) : rows;
+    }
+
+    // Every record matching the active search, sort and filters. Server mode pages through apiUrl
+    // `exportPageSize` rows at a time; client mode already has them.
+    async fetchAllRows() {
+        if (this.mode === 'client') {
+            if (!this.clientLoaded) await this.loadData();
+            return this.getClientRows();
+        }
+
+        const pageSize = this.exportPageSize;
+        const rows = [];
+        for (let page = 1; ; page++) {
+            // DataTables endpoints are paged by row offset: continuing from the rows received so far
+            // skips nothing when the server sends fewer than `length`
+            const request = await this.buildRequest({ page, perPage: pageSize, start: rows.length });
+            const { url, fetchOptions } = this.serializeRequest(request);
+            const response = await this.fetchWithRetry(url, fetchOptions);
+            if (!response.ok) throw await this.createResponseError(response);
+
+            const parsed = this.parseResponse(await response.json(), response);
+            rows.push(...parsed.rows);
+
+            // servers may cap per_page below pageSize, so a short page only ends the loop when the
+            // response says nothing about how many rows there are
+            let reachedEnd;
+            if (parsed.filtered !== null) reachedEnd = rows.length >= parsed.filtered;
+            else if (parsed.hasMore !== null) reachedEnd = !parsed.hasMore;
+            else reachedEnd = parsed.rows.length < pageSize;
+            if (!parsed.rows.length || reachedEnd) break;
+        }
+        return rows;
+    }
+
+    // Builds an export and (unless download: false) saves it through the browser.
+    // options: { format: 'csv'|'json'|'excel', scope, values, filename, download, delimiter }
+    // Resolves with the generated file content.
+    async exportData(options = {}) {
+        const format = (options.format || 'csv').toLowerCase();
+        const rows = options.rows || await this.getExportRows(options.scope || 'page');
+        const columns = this.getExportColumns(options);
+
+        let content, mime, extension;
+        if (format === 'json') {
+            content = JSON.stringify(this.buildExportObjects(rows, columns, options.values), null, 2);
+            mime = 'application/json;charset=utf-8';
+            extension = 'json';
+        } else if (format === 'excel' || format === 'xls') {
+            content = this.buildSpreadsheetML(rows, columns, options.values);
+            mime = 'application/vnd.ms-excel';
+            extension = 'xls';
+        } else if (format === 'csv') {
+            content = this.buildCSV(rows, columns, options);
+            mime = 'text/csv;charset=utf-8';
+            extension = 'csv';
+        } else {
+            throw new Error(`Unknown export format "${format}"`);
+        }
+
+        if (options.download !== false) {
+            this.downloadFile(content, this.getExportFilename(extension, options.filename), mime);
+        }
+        return content;
+    }
+
+    // Current page (or { scope: 'selection' }) as CSV text, for callers that build their own file
+    exportAsCSV(options = {}) {
+        const rows = options.scope === 'selection' ? this.getSelectedRowData() : this.data;
+        return this.buildCSV(rows, this.getExportColumns(options), options);
+    }
+
+    // Current page (or { scope: 'selection' }) as an array of plain objects keyed by column
+    exportAsJSON(options = {}) {
+        const rows = options.scope === 'selection' ? this.getSelectedRowData() : this.data;
+        return this.buildExportObjects(rows, this.getExportColumns(options), options.values);
+    }
+
+    buildExportObjects(rows, columns, values) {
+        return rows.map(row => {
+            const item = {};
+            columns.forEach(col => {
+                item[col._data] = this.getExportValue(col, row, values);
+            });
+            return item;
+        });
+    }
+
+    // RFC 4180 CSV with a UTF-8 BOM (so Excel detects the encoding) and CRLF line endings
+    buildCSV(rows, columns, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const quote = (value) => {
+            let text = this.stringifyExportValue(value);
+            // spreadsheets run a cell starting with = + - @ as a formula; plain numbers are safe
+            if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+                text = `'${text}`;
+            }
+            if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+                text = `"${text.replace(/"/g, '""')}"`;
+            }
+            return text;
+        };
+
+        const lines = [columns.map(col => quote(col.exportLabel || col.label || col._data)).join(delimiter)];
+        rows.forEach(row => {
+            lines.push(columns.map(col => quote(this.getExportValue(col, row, options.values))).join(delimiter));
+        });
+        return (options.bom === false ? '' : '\uFEFF') + lines.join('\r\n');
+    }
+
+    // Excel 2003 XML (SpreadsheetML) workbook; opens in Excel, LibreOffice and Google Sheets
+    buildSpreadsheetML(rows, columns, values) {
+        const xml = (text) => String(text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+            // characters XML 1.0 cannot carry at all
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+        const cell = (value, style) => {
+            // only real numbers become Number cells; numeric strings (barcodes, IDs) would lose digits
+            const isNumber = typeof value === 'number' && isFinite(value);
+            const styleAttr = style ? ` ss:StyleID="${style}"` : '';
+            return isNumber
+                ? `<Cell${styleAttr}><Data ss:Type="Number">${value}</Data></Cell>`
+                : `<Cell${styleAttr}><Data ss:Type="String">${xml(this.stringifyExportValue(value))}</Data></Cell>`;
+        };
+
+        const header = `<Row>${columns.map(col => `<Cell ss:StyleID="header"><Data ss:Type="String">${xml(col.exportLabel || col.label || col._data)}</Data></Cell>`).join('')}</Row>`;
+        const body = rows.map(row => `<Row>${columns.map(col => cell(this.getExportValue(col, row, values))).join('')}</Row>`).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>
+<Worksheet ss:Name="${xml((this.exportSheetName || this.tableId || 'Sheet1').slice(0, 31))}">
+<Table>
+${header}
+${body}
+</Table>
+</Worksheet>
+</Workbook>`;
+    }
+
+    stringifyExportValue(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    getExportFilename(extension, filename) {
+        let name = filename || this.exportFilename;
+        if (typeof name === 'function') name = name(extension, this);
+        if (!name) name = `${this.tableId}_${new Date().toISOString().split('T')[0]}`;
+        return name.toLowerCase().endsWith(`.${extension}`) ? name : `${name}.${extension}`;
+    }
+
+    downloadFile(content, filename, mime) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mime });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.style.display = 'none';
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        // give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    // Print Methods
+    // Renders rows into a clean document in a hidden iframe and opens the print dialog.
+    // options: { scope: 'all'|'page'|'selection', title, showFilters, showTimestamp, copyStyles }
+    async print(options = {}) {
+        const settings = Object.assign({ scope: 'all', showFilters: true, showTimestamp: true, copyStyles: true }, this.printOptions, options);
+        const rows = await this.getExportRows(settings.scope);
+
+        this.removePrintFrame();
+        const frame = document.createElement('iframe');
+        frame.className = 'table-print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+        document.body.appendChild(frame);
+        this.printFrame = frame;
+
+        const doc = frame.contentWindow.document;
+        doc.open();
+        doc.write(this.buildPrintDocument(rows, settings));
+        doc.close();
+
+        // Feather only swaps icons in its own document, so convert them here
+        if (typeof feather !== 'undefined' && feather.icons) {
+            doc.querySelectorAll('[data-feather]').forEach(el => {
+                const icon = feather.icons[el.getAttribute('data-feather')];
+                if (icon) el.outerHTML = icon.toSvg();
+            });
+        }
+
+        // Wait for copied stylesheets (badge colours) before printing; never wait forever
+        await new Promise(resolve => {
+            if (doc.readyState === 'complete') return setTimeout(resolve, 50);
+            frame.addEventListener('load', resolve, { once: true });
+            setTimeout(resolve, 1500);
+        });
+
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        // print() blocks in most browsers; clean up once the dialog is gone
+        setTimeout(() => this.removePrintFrame(frame), 1000);
+    }
+
+    removePrintFrame(frame = this.printFrame) {
+        if (frame && frame.parentNode) frame.parentNode.removeChild(frame);
+        if (frame === this.printFrame) this.printFrame = null;
+    }
+
+    buildPrintDocument(rows, settings) {
+        const columns = (settings.columns === 'all' ? this.getOrderedColumns() : this.getVisibleColumns())
+            .filter(col => col._data && !col.utility && col.printable !== false);
+        const title = settings.title || document.title || this.tableId;
+
+        const styles = settings.copyStyles
+            ? Array.from(document.querySelectorAll('link[rel="stylesheet"], style')).map(el => el.outerHTML).join('\n')
+            : '';
+
+        const meta = [];
+        if (settings.showFilters) {
+            const summary = this.getFilterSummary();
+            if (summary.length) meta.push(`<div class="print-filters">${summary.map(s => this.escapeHtml(s)).join(' &middot; ')}</div>`);
+        }
+        const countText = this.escapeHtml(this.t('printRecords', { count: rows.length }));
+        meta.push(`<div class="print-meta">${settings.showTimestamp ? `${this.escapeHtml(this.t('printed', { date: new Date().toLocaleString(this.locale) }))} &middot; ` : ''}${countText}</div>`);
+
+        const head = columns.map(col => `<th>${this.escapeHtml(col.label || col._data)}</th>`).join('');
+        const body = rows.length
+            ? rows.map(row => `<tr>${columns.map(col => `<td>${this.renderCellContent(col, row)}</td>`).join('')}</tr>`).join('\n')
+            : `<tr><td colspan="${columns.length}" class="print-empty">${this.t('empty')}</td></tr>`;
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${this.escapeHtml(title)}</title>
+${styles}
+<style>${CustomDataTable.PRINT_CSS}</style>
+</head>
+<body class="table-print">
+<header class="print-header">
+<h1>${this.escapeHtml(title)}</h1>
+${meta.join('\n')}
+</header>
+<table class="print-table">
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>`;
+    }
+
+    // Human-readable lines describing the active search, filters and sort
+    getFilterSummary() {
+        const labelFor = (key) => {
+            const col = this.columns[this.getColumnIndex(key)];
+            return (col && col.label) || key;
+        };
+        const summary = [];
+
+        if (this.searchTerm) summary.push(this.t('summarySearch', { term: this.searchTerm }));
+
+        Object.keys(this.filters).forEach(key => {
+            const value = this.filters[key];
+            let text;
+            if (value !== null && typeof value === 'object') {
+                const low = value.min !== undefined ? value.min : value.from;
+                const high = value.max !== undefined ? value.max : value.to;
+                text = low !== undefined && high !== undefined ? `${low} – ${high}` : (low !== undefined ? `≥ ${low}` : `≤ ${high}`);
+            } else {
+                // show the option label for select/boolean filters when we rendered one
+                const select = this.filterRow && this.filterRow.querySelector(`select[data-filter-column="${this.cssEscape(key)}"]`);
+                const option = select ? Array.from(select.options).find(o => o.value === String(value)) : null;
+                text = option ? option.textContent : String(value);
+            }
+            summary.push(`${labelFor(key)}: ${text}`);
+        });
+
+        if (this.sortList.length) {
+            const keys = this.sortList.map(sort => `${labelFor(sort.column)} (${this.t(sort.direction === 'desc' ? 'descending' : 'ascending')})`);
+            summary.push(this.t('summarySort', { columns: keys.join(this.t('summarySortSeparator')) }));
+        }
+        return summary;
+    }
+    
+    // Looks up a built-in message and fills in its {placeholders}. Values are inserted as given
+    // (escape them first for HTML); numbers are formatted for the locale. Unknown keys return the key.
+    t(key, params = {}) {
+        let message = this.messages[key];
+        if (typeof message === 'function') return String(message(params, this));
+        if (message !== null && typeof message === 'object') {
+            const count = Number(params.count);
+            const form = message[count] !== undefined ? count : this.pluralRules.select(count);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+        if (message === undefined || message === null) return key;
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.numberFormat.format(value) : String(value);
         });
     }
+
+    // Same as a `type: 'date'` column, in the table's locale
+    formatDate(dateString) {
+        return this.formatTypedValue({ _id: '_date', type: 'date' }, dateString, null, false);
+    }
     
+    // Safe in text and in quoted attributes (href="...", alt="...", data-*), so quotes are escaped too
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    // For attribute values in selectors: column keys may contain quotes, brackets or dots
+    cssEscape(value) {
+        if (typeof CSS !== 'undefined' && CSS.escape) return CSS.escape(String(value));
+        return String(value).replace(/["\\]/g, '\\$&');
     }
     
     scrollToTop() {
         window.scrollTo({ top: 0, behavior: 'smooth' });
     }
     
-    showError(message) {
+    // `message` is HTML. options: { retry: false } hides the Retry button, { reload: true } offers
+    // "Reload page" instead (expired sessions), { icon } replaces the warning sign.
+    showError(message, options = {}) {
+        this.table.removeAttribute('aria-busy');
+        this.table.classList.remove('table-loading');
         const colspan = this.getTotalColumns ? this.getTotalColumns() : 9;
+        let button = '';
+        if (options.reload) {
+            button = `<button type="button" class="btn btn-sm btn-outline-danger" data-table-reload>${this.t('reloadPage')}</button>`;
+        } else if (options.retry !== false) {
+            button = `<button type="button" class="btn btn-sm btn-outline-danger" data-table-retry>${this.t('retry')}</button>`;
+        }
         this.tbody.innerHTML = `
             <tr>
                 <td colspan="${colspan}" class="text-center py-5">
-                    <div class="text-danger">
-                        <i>⚠️</i>
-                        <div>${message}</div>
+                    <div class="table-error text-danger" role="alert">
+                        <i>${options.icon || '⚠️'}</i>
+                        <div class="table-error-message">${message}</div>
+                        ${button}
                     </div>
                 </td>
             </tr>
         `;
+        // the live region takes text; `message` is HTML, so read it back as the user sees it
+        this.announce(this.tbody.querySelector('.table-error-message').textContent.trim());
     }
     
     // State Management Methods
@@ -647,29 +4753,34 @@ class CustomDataTable {
         const state = {
             currentPage: this.currentPage,
             perPage: this.perPage,
-            sortColumn: this.sortColumn,
-            sortDirection: this.sortDirection,
+            sort: this.getSort(),
             searchTerm: this.searchTerm,
+            filters: this.filters,
+            expanded: this.keepDetailsOpen ? this.getExpandedRows() : undefined,
             timestamp: Date.now()
         };
         
         try {
             localStorage.setItem(this.stateKey, JSON.stringify(state));
+            // The column layout is a preference rather than a view of the data, so it is kept in its own
+            // entry that does not expire with the rest of the state
+            localStorage.setItem(`${this.stateKey}_columns`, JSON.stringify(this.getColumnLayout()));
         } catch (e) {
             console.warn('Failed to save table state:', e);
         }
+        this.syncUrlState();
     }
     
     restoreState() {
+        this.restoreColumnLayout();
         try {
             const saved = localStorage.getItem(this.stateKey);
             if (!saved) return;
             
             const state = JSON.parse(saved);
             
-            // Only restore if state is less than 1 hour old
-            const maxAge = 60 * 60 * 1000; // 1 hour
-            if (Date.now() - state.timestamp > maxAge) {
+            // Only restore if state is younger than stateMaxAge (1 hour by default)
+            if (this.stateMaxAge && Date.now() - state.timestamp > this.stateMaxAge) {
                 localStorage.removeItem(this.stateKey);
                 return;
             }
@@ -677,21 +4788,21 @@ class CustomDataTable {
             // Restore state
             this.currentPage = state.currentPage || 1;
             this.perPage = state.perPage || 10;
-            this.sortColumn = state.sortColumn;
-            this.sortDirection = state.sortDirection || 'asc';
+            // older saved states only have the single sortColumn/sortDirection pair
+            this.sortList = Array.isArray(state.sort)
+                ? this.normalizeSortList(state.sort)
+                : this.normalizeSortList(state.sortColumn, state.sortDirection || 'asc');
             this.searchTerm = state.searchTerm || '';
+            this.filters = (state.filters && typeof state.filters === 'object') ? state.filters : {};
+            if (this.keepDetailsOpen && Array.isArray(state.expanded)) this.expandedRows = new Set(state.expanded.map(String));
             
             // Update UI elements
             if (this.perPageSelect) this.perPageSelect.value = this.perPage;
             if (this.searchInput) this.searchInput.value = this.searchTerm;
+            this.syncFilterInputs();
             
             // Restore sort indicator
-            if (this.sortColumn) {
-                const header = this.table.querySelector(`thead th[data-column="${this.sortColumn}"]`);
-                if (header) {
-                    header.classList.add(`sort-${this.sortDirection}`);
-                }
-            }
+            this.updateSortIndicators();
             
         } catch (e) {
             console.warn('Failed to restore table state:', e);
@@ -699,6 +4810,152 @@ class CustomDataTable {
         }
     }
     
+    // URL State Methods (syncUrl)
+    // Query parameters owned by this table; urlPrefix keeps several tables on one page apart
+    getUrlParamNames() {
+        const prefix = this.urlPrefix;
+        return { page: `${prefix}page`, perPage: `${prefix}per_page`, search: `${prefix}search`, sort: `${prefix}sort`, filter: `${prefix}filter` };
+    }
+
+    // Synced tables sharing a prefix would overwrite each other's parameters. The first table on the
+    // page keeps its prefix; a later one that collides falls back to `<tableId>_` and says so.
+    claimUrlPrefix() {
+        const owners = CustomDataTable.urlPrefixOwners;
+        const owner = owners.get(this.urlPrefix);
+        if (owner && owner !== this && !owner.destroyed) {
+            const fallback = `${this.tableId}_`;
+            console.warn(`[CustomDataTable] Table "${owner.tableId}" already syncs the URL with prefix "${this.urlPrefix}"; ` +
+                `"${this.tableId}" uses "${fallback}" instead. Set a distinct urlPrefix on each synced table.`);
+            this.urlPrefix = fallback;
+        }
+        owners.set(this.urlPrefix, this);
+    }
+
+    isOwnUrlParam(key) {
+        const names = this.getUrlParamNames();
+        return key === names.page || key === names.perPage || key === names.search || key === names.sort || key.startsWith(`${names.filter}[`);
+    }
+
+    // Only values that differ from the table's defaults are written, to keep shared links short.
+    // Sort is `name,-created_at` (a leading '-' is descending); an empty value means unsorted.
+    buildUrlParams() {
+        const names = this.getUrlParamNames();
+        const qs = new URLSearchParams();
+        if (this.currentPage > 1 && this.paginationMode !== 'infinite') qs.set(names.page, this.currentPage);
+        if (this.perPage !== this.defaultPerPage) qs.set(names.perPage, this.perPage);
+        if (this.searchTerm) qs.set(names.search, this.searchTerm);
+
+        const sort = this.sortList.map(entry => (entry.direction === 'desc' ? '-' : '') + entry.column).join(',');
+        const defaultSort = this.normalizeSortList(this.defaultSort, this.defaultOrder).map(entry => (entry.direction === 'desc' ? '-' : '') + entry.column).join(',');
+        if (sort !== defaultSort) qs.set(names.sort, sort);
+
+        Object.keys(this.filters).forEach(column => this.appendQueryParam(qs, `${names.filter}[${column}]`, this.filters[column]));
+        return qs;
+    }
+
+    // This table's state from the current URL, or null when the URL carries none of its parameters
+    readUrlState() {
+        const names = this.getUrlParamNames();
+        const params = new URLSearchParams(window.location.search);
+        if (!Array.from(params.keys()).some(key => this.isOwnUrlParam(key))) return null;
+
+        const state = {
+            page: parseInt(params.get(names.page)) || 1,
+            perPage: parseInt(params.get(names.perPage)) || this.defaultPerPage,
+            search: params.get(names.search) || '',
+            sort: this.normalizeSortList(this.defaultSort, this.defaultOrder),
+            filters: {}
+        };
+        if (params.has(names.sort)) {
+            state.sort = this.normalizeSortList(params.get(names.sort).split(',').filter(Boolean).map(entry => (
+                entry.charAt(0) === '-' ? { column: entry.slice(1), direction: 'desc' } : { column: entry, direction: 'asc' }
+            )));
+        }
+
+        // filter[column]=value, or filter[column][min]=5 for range filters
+        const prefix = names.filter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const filterKey = new RegExp(`^${prefix}\\[([^\\]]+)\\](?:\\[([^\\]]+)\\])?$`);
+        params.forEach((value, key) => {
+            const match = key.match(filterKey);
+            if (!match) return;
+            if (match[2]) {
+                state.filters[match[1]] = Object.assign({}, state.filters[match[1]], { [match[2]]: value });
+            } else {
+                state.filters[match[1]] = value;
+            }
+        });
+        return state;
+    }
+
+    // A URL that mentions the table wins over localStorage completely, so a shared link shows exactly
+    // the sender's view; parameters it leaves out fall back to the defaults, not to the saved state
+    restoreUrlState() {
+        const state = this.readUrlState();
+        if (state) this.applyUrlState(state);
+    }
+
+    applyUrlState(state) {
+        this.currentPage = state.page;
+        this.perPage = state.perPage;
+        this.searchTerm = state.search;
+        this.sortList = state.sort;
+        this.filters = {};
+        Object.keys(state.filters).forEach(column => this.setFilterValue(column, state.filters[column]));
+
+        if (this.perPageSelect) this.perPageSelect.value = this.perPage;
+        if (this.searchInput) this.searchInput.value = this.searchTerm;
+        this.syncFilterInputs();
+        this.updateSortIndicators();
+    }
+
+    onUrlStateChange() {
+        const state = this.readUrlState() || {
+            page: 1,
+            perPage: this.defaultPerPage,
+            search: '',
+            sort: this.normalizeSortList(this.defaultSort, this.defaultOrder),
+            filters: {}
+        };
+        if (this.selectAllMatching) this.clearSelection();
+        this.applyUrlState(state);
+
+        // the URL already says this; only localStorage needs to catch up
+        this.applyingUrlState = true;
+        this.saveState();
+        this.applyingUrlState = false;
+        this.loadData();
+    }
+
+    // Writes the table's parameters into the URL, keeping everything else in it. Changes get their own
+    // history entry (urlHistory: 'push'), except consecutive search edits, which update one entry.
+    syncUrlState(options = {}) {
+        if (!this.syncUrl || this.applyingUrlState || !window.history || !window.history.replaceState) return;
+
+        const names = this.getUrlParamNames();
+        const url = new URL(window.location.href);
+        const previous = new URLSearchParams(url.search);
+        const next = new URLSearchParams();
+        previous.forEach((value, key) => {
+            if (!this.isOwnUrlParam(key)) next.append(key, value);
+        });
+        this.buildUrlParams().forEach((value, key) => next.append(key, value));
+        if (next.toString() === previous.toString()) return;
+
+        // a new search also resets the page, so that counts as part of the same edit
+        const withoutSearch = params => {
+            const copy = new URLSearchParams(params);
+            copy.delete(names.search);
+            copy.delete(names.page);
+            return copy.toString();
+        };
+        const searchOnly = withoutSearch(previous) === withoutSearch(next);
+        const replace = options.replace || this.urlHistory === 'replace' || (searchOnly && this.urlSearchEditing);
+        this.urlSearchEditing = searchOnly;
+
+        url.search = next.toString();
+        window.history[replace ? 'replaceState' : 'pushState'](window.history.state, '', url.toString());
+    }
+    
     clearReturnFlag() {
         // Remove the flag after successfully returning
         sessionStorage.removeItem('tableReturn');
@@ -720,6 +4977,248 @@ class CustomDataTable {
     }
 }
 
+// Stylesheet for print(): plain borders, no gradients or shadows, header repeated on every page.
+// Badge colours from render() output are kept (print-color-adjust).
+CustomDataTable.PRINT_CSS = `
+@page { margin: 12mm; }
+body.table-print { margin: 0; background: #fff; color: #000; font: 11px/1.4 -apple-system, "Segoe UI", Roboto, Arial, sans-serif; }
+body.table-print * { background-image: none !important; box-shadow: none !important; text-shadow: none !important; }
+.print-header { margin-bottom: 10px; }
+.print-header h1 { margin: 0 0 4px; font-size: 16px; }
+.print-filters, .print-meta { color: #444; font-size: 10px; }
+.print-table { width: 100%; border-collapse: collapse; }
+.print-table thead { display: table-header-group; }
+.print-table tr { break-inside: avoid; page-break-inside: avoid; }
+.print-table th, .print-table td { border: 1px solid #bbb; padding: 4px 6px; text-align: left; vertical-align: top; white-space: normal; }
+.print-table th { background: #eee !important; font-weight: 600; }
+.print-table .badge, .print-table .status-badge { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+.print-table svg { width: 12px; height: 12px; }
+.print-empty { text-align: center; color: #666; }
+`;
+
+// Statuses that mean "try again shortly" (bad gateway, unavailable, gateway timeout); see fetchWithRetry()
+CustomDataTable.RETRY_STATUSES = [502, 503, 504];
+
+// urlPrefix -> the synced table using it on this page; see claimUrlPrefix()
+CustomDataTable.urlPrefixOwners = new Map();
+
+// ============================================================================
+// Response Adapters
+// ============================================================================
+// Each adapter turns a parsed JSON body (plus the fetch Response) into
+// { rows, total, filtered, hasMore }. `total: null` means the server does not
+// report a count; pagination then relies on `hasMore`.
+// Register your own with CustomDataTable.registerResponseAdapter(name, fn).
+
+CustomDataTable.responseAdapters = {
+    // DataTables server-side protocol: { draw, recordsTotal, recordsFiltered, data }
+    'datatables': (json) => ({
+        rows: (json && json.data) || [],
+        total: json ? json.recordsTotal : null,
+        filtered: json && json.recordsFiltered !== undefined ? json.recordsFiltered : (json ? json.recordsTotal : null)
+    }),
+
+    // Bare arrays and the common REST envelopes: { data | items, total | pagination.total }
+    'simple': (json, response) => {
+        if (Array.isArray(json)) {
+            const header = response && response.headers ? response.headers.get('X-Total-Count') : null;
+            return { rows: json, total: (header !== null && header !== undefined) ? header : json.length };
+        }
+        const rows = (json && (Array.isArray(json.data) ? json.data : json.items)) || [];
+        const pagination = (json && json.pagination) || {};
+        const total = [json && json.total, json && json.records_total, pagination.total].find(v => v !== undefined && v !== null);
+        return { rows, total: total !== undefined ? total : rows.length };
+    },
+
+    // Laravel paginate(), raw ({ data, total, ... }) or through an API Resource ({ data, meta: { total }, links })
+    'laravel-paginator': (json) => {
+        const meta = (json && json.meta) || json || {};
+        return { rows: (json && json.data) || [], total: meta.total, hasMore: !!(meta.current_page < meta.last_page) };
+    },
+
+    // Laravel simplePaginate(): no total, only whether a next page exists
+    'laravel-simple-paginator': (json) => {
+        const links = (json && json.links) || {};
+        const next = json ? (json.next_page_url || (links.next !== undefined ? links.next : null)) : null;
+        return { rows: (json && json.data) || [], total: null, hasMore: !!next };
+    },
+
+    // JSON:API documents: resource objects are flattened to { id, type, ...attributes }
+    'jsonapi': (json) => {
+        const meta = (json && json.meta) || {};
+        const rows = ((json && json.data) || []).map(resource => Object.assign({ id: resource.id, type: resource.type }, resource.attributes || {}));
+        const total = [meta.total, meta.page && meta.page.total, meta.pagination && meta.pagination.total].find(v => v !== undefined && v !== null);
+        const links = (json && json.links) || {};
+        return { rows, total: total !== undefined ? total : null, hasMore: !!links.next };
+    },
+
+    // Default: pick one of the adapters above from the shape of the response
+    'auto': (json, response) => {
+        const adapters = CustomDataTable.responseAdapters;
+        if (!json || Array.isArray(json)) return adapters.simple(json || [], response);
+        if (json.recordsTotal !== undefined || json.recordsFiltered !== undefined) return adapters.datatables(json, response);
+        if (Array.isArray(json.data) && json.data.length && json.data[0] && json.data[0].attributes && json.data[0].type) {
+            return adapters.jsonapi(json, response);
+        }
+        const meta = json.meta && json.meta.current_page !== undefined ? json.meta : (json.current_page !== undefined ? json : null);
+        if (meta && Array.isArray(json.data)) {
+            return meta.total !== undefined ? adapters['laravel-paginator'](json, response) : adapters['laravel-simple-paginator'](json, response);
+        }
+        return adapters.simple(json, response);
+    }
+};
+
+CustomDataTable.registerResponseAdapter = function(name, adapter) {
+    if (typeof adapter !== 'function') throw new Error(`Response adapter "${name}" must be a function`);
+    CustomDataTable.responseAdapters[name] = adapter;
+};
+
+// ============================================================================
+// Messages
+// ============================================================================
+// Built-in UI text per language. {name} placeholders are filled in by t();
+// numbers are formatted for the table's locale. A message can also be an object
+// of Intl.PluralRules forms ({ one, other, ... }, exact counts like 0 win),
+// chosen by the `count` value, or a function (params, table) => text.
+// Messages shown inside the table (empty, noResults, error, selection*) may
+// contain HTML. Add languages with CustomDataTable.registerMessages(lang, messages).
+
+CustomDataTable.messages = {
+    en: {
+        info: 'Showing {start} to {end} of {total} entries',
+        infoFiltered: '(filtered from {max} total entries)',
+        infoUnknownTotal: 'Showing {start} to {end}',
+        previous: 'Previous',
+        next: 'Next',
+        previousPage: 'Previous page',
+        nextPage: 'Next page',
+        page: 'Page {page}',
+        loading: 'Loading...',
+        loadMore: 'Load more',
+        empty: 'No data found',
+        noResults: 'No results match your search',
+        clearSearch: 'Clear search',
+        error: 'Failed to load data. Please try again.',
+        retry: 'Retry',
+        sessionExpired: 'Your session has expired. Please sign in again.',
+        reloadPage: 'Reload page',
+        offline: 'You are offline. The table will reload when the connection is back.',
+        detailError: 'Failed to load details.',
+        saveError: 'Could not save the change. Please try again.',
+        invalid: 'The given data was invalid.',
+        selectRow: 'Select row {id}',
+        showDetails: 'Show details for row {id}',
+        details: 'Details',
+        moreActions: 'More actions',
+        selectionAllMatching: { one: '<strong>{count}</strong> matching record is selected.', other: 'All <strong>{count}</strong> matching records are selected.' },
+        selectionPage: 'All <strong>{count}</strong> rows on this page are selected.',
+        selectAllMatching: 'Select all {total} matching records',
+        clearSelection: 'Clear selection',
+        columns: 'Columns',
+        resetColumns: 'Reset columns',
+        sortPriority: 'Sort priority {priority}',
+        filterPlaceholder: 'Filter...',
+        filterAll: 'All',
+        filterMin: 'Min',
+        filterMax: 'Max',
+        filterFrom: 'From',
+        filterTo: 'To',
+        yes: 'Yes',
+        no: 'No',
+        groupCount: { one: '{count} row', other: '{count} rows' },
+        emptyGroup: '(empty)',
+        expandGroup: 'Expand group',
+        collapseGroup: 'Collapse group',
+        total: 'Total',
+        printRecords: { one: '{count} record', other: '{count} records' },
+        printed: 'Printed {date}',
+        summarySearch: 'Search: "{term}"',
+        summarySort: 'Sorted by {columns}',
+        summarySortSeparator: ', then ',
+        ascending: 'ascending',
+        descending: 'descending'
+    },
+    fil: {
+        info: 'Ipinapakita ang {start} hanggang {end} sa {total} na entry',
+        infoFiltered: '(sinala mula sa kabuuang {max} na entry)',
+        infoUnknownTotal: 'Ipinapakita ang {start} hanggang {end}',
+        previous: 'Nakaraan',
+        next: 'Susunod',
+        previousPage: 'Nakaraang pahina',
+        nextPage: 'Susunod na pahina',
+        page: 'Pahina {page}',
+        loading: 'Naglo-load...',
+        loadMore: 'Mag-load pa',
+        empty: 'Walang nahanap na data',
+        noResults: 'Walang tumutugma sa iyong hinahanap',
+        clearSearch: 'I-clear ang paghahanap',
+        error: 'Hindi ma-load ang data. Pakisubukang muli.',
+        retry: 'Subukang muli',
+        sessionExpired: 'Nag-expire na ang iyong session. Mag-sign in muli.',
+        reloadPage: 'I-reload ang pahina',
+        offline: 'Offline ka. Magre-reload ang table kapag bumalik na ang koneksyon.',
+        detailError: 'Hindi ma-load ang mga detalye.',
+        saveError: 'Hindi na-save ang pagbabago. Pakisubukang muli.',
+        invalid: 'Hindi wasto ang ibinigay na data.',
+        selectRow: 'Piliin ang hilera {id}',
+        showDetails: 'Ipakita ang detalye ng hilera {id}',
+        details: 'Mga detalye',
+        moreActions: 'Iba pang aksyon',
+        selectionAllMatching: 'Napili ang lahat ng <strong>{count}</strong> tumutugmang tala.',
+        selectionPage: 'Napili ang lahat ng <strong>{count}</strong> hilera sa pahinang ito.',
+        selectAllMatching: 'Piliin ang lahat ng {total} tumutugmang tala',
+        clearSelection: 'Alisin ang pagpili',
+        columns: 'Mga hanay',
+        resetColumns: 'I-reset ang mga hanay',
+        sortPriority: 'Ika-{priority} sa pagkakaayos',
+        filterPlaceholder: 'Salain...',
+        filterAll: 'Lahat',
+        filterMin: 'Min',
+        filterMax: 'Max',
+        filterFrom: 'Mula',
+        filterTo: 'Hanggang',
+        yes: 'Oo',
+        no: 'Hindi',
+        groupCount: '{count} hilera',
+        emptyGroup: '(walang laman)',
+        expandGroup: 'Buksan ang grupo',
+        collapseGroup: 'Isara ang grupo',
+        total: 'Kabuuan',
+        printRecords: '{count} tala',
+        printed: 'Na-print noong {date}',
+        summarySearch: 'Hinanap: "{term}"',
+        summarySort: 'Nakaayos ayon sa {columns}',
+        summarySortSeparator: ', saka ',
+        ascending: 'pataas',
+        descending: 'pababa'
+    }
+};
+CustomDataTable.messages.tl = CustomDataTable.messages.fil;
+
+// Merges into an existing language, so a page can also override just a few messages for every table
+CustomDataTable.registerMessages = function(language, messages) {
+    const key = String(language).replace(/_/g, '-').toLowerCase();
+    CustomDataTable.messages[key] = Object.assign({}, CustomDataTable.messages[key], messages);
+};
+
+// 'fil-PH' uses a 'fil-ph' pack if there is one, else 'fil'; unknown languages get {}
+CustomDataTable.getMessages = function(language) {
+    const tag = String(language || '').replace(/_/g, '-').toLowerCase();
+    return CustomDataTable.messages[tag] || CustomDataTable.messages[tag.split('-')[0]] || {};
+};
+
+// Canonical BCP 47 tag ('en_us' -> 'en-US'), or null for a missing or malformed one that the Intl
+// constructors would reject with a RangeError (e.g. <html lang="en_US.UTF-8">)
+CustomDataTable.canonicalLocale = function(tag) {
+    if (!tag) return null;
+    try {
+        return Intl.getCanonicalLocales(String(tag).trim().replace(/_/g, '-'))[0] || null;
+    } catch (e) {
+        console.warn(`[CustomDataTable] Ignoring invalid locale "${tag}"`);
+        return null;
+    }
+};
+
 // Action functions (to be implemented in your Laravel app)
 function viewExpression(id) {
     console.log('View expression:', id);